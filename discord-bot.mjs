@@ -5,9 +5,11 @@
 // - Threads auto-DELETE when order is completed (not just archived)
 // - Customers can't see each other
 
-import { Client, GatewayIntentBits, ChannelType, REST, Routes, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, MessageFlags, ThreadAutoArchiveDuration, PermissionFlagsBits } from 'discord.js';
+import { Client, GatewayIntentBits, Status, ChannelType, REST, Routes, EmbedBuilder, AttachmentBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, ModalBuilder, TextInputBuilder, TextInputStyle, MessageFlags, ThreadAutoArchiveDuration, PermissionFlagsBits } from 'discord.js';
 import axios from 'axios';
 import dotenv from 'dotenv';
+import crypto from 'crypto';
+import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import express from 'express';
@@ -18,13 +20,33 @@ dotenv.config({ path: path.join(__dirname, '.env') });
 const DISCORD_BOT_TOKEN = process.env.DISCORD_BOT_TOKEN;
 const DISCORD_CLIENT_ID = process.env.DISCORD_CLIENT_ID;
 const SERVER_ID = process.env.DISCORD_SERVER_ID;
+const GUILDS_FILE = process.env.DISCORD_GUILDS_FILE; // One entry per storefront server - see GUILDS below
 const BACKEND_URL = process.env.BACKEND_URL || 'https://bloxbeam-backend.vercel.app';
-const WEBHOOK_SECRET = process.env.INTERNAL_WEBHOOK_SECRET || DISCORD_BOT_TOKEN;
+const WEBHOOK_SECRET = process.env.INTERNAL_WEBHOOK_SECRET;
 
-// Role IDs from .env (use existing server roles instead of creating new ones)
-const STAFF_ROLE_ID = process.env.DISCORD_STAFF_ROLE_ID;    // Owner role
-const CUSTOMER_ROLE_ID = process.env.DISCORD_CUSTOMER_ROLE_ID; // Client role
-const CLAIM_HERE_CHANNEL_ID = process.env.DISCORD_CLAIM_HERE_CHANNEL_ID; // Existing claim-here channel
+// Webhook signing: X-Webhook-Signature = HMAC-SHA256(secret, `${timestamp}.${rawBody}`)
+// Rollout order: deploy the bot (legacy secret still accepted), switch the backend to signing,
+// then set WEBHOOK_ALLOW_LEGACY_SECRET=false. Set SIGN_BACKEND_REQUESTS=true once the
+// backend verifies signatures - the raw secret header is no longer sent from then on.
+const WEBHOOK_TOLERANCE_SECONDS = Number(process.env.WEBHOOK_TOLERANCE_SECONDS) || 300;
+const WEBHOOK_ALLOW_LEGACY_SECRET = process.env.WEBHOOK_ALLOW_LEGACY_SECRET !== 'false'; // Accept the raw x-webhook-secret header during rollout
+const SIGN_BACKEND_REQUESTS = process.env.SIGN_BACKEND_REQUESTS === 'true'; // Sign outbound calls to BACKEND_URL instead of sending the secret
+
+// Role and channel IDs (DISCORD_STAFF_ROLE_ID, DISCORD_CLAIM_HERE_CHANNEL_ID, ...) are
+// defaults for the settings in GUILD SETTINGS below - /setup can override them at runtime
+
+// Roblox account lookups: 'roblox' (live API) or 'stub' (offline, for local testing)
+const ROBLOX_LOOKUP_CLIENT = process.env.ROBLOX_LOOKUP_CLIENT || 'roblox';
+
+// Currency for prices when neither the webhook nor the guild config names one (ISO 4217)
+const DEFAULT_CURRENCY = process.env.DEFAULT_CURRENCY || 'USD';
+
+// Only the staff member who claims an order joins its thread / gets DMs.
+// Set to false to add every staff member to every thread and DM them all.
+const STAFF_JOIN_ON_CLAIM = process.env.STAFF_JOIN_ON_CLAIM !== 'false';
+
+// When set, GET /metrics needs `Authorization: Bearer <METRICS_TOKEN>`
+const METRICS_TOKEN = process.env.METRICS_TOKEN || null;
 
 // Validate required env vars
 if (!DISCORD_BOT_TOKEN) {
@@ -37,11 +59,21 @@ if (!DISCORD_CLIENT_ID) {
   process.exit(1);
 }
 
-if (!SERVER_ID) {
-  console.error('❌ DISCORD_SERVER_ID not set in .env.local');
+if (!SERVER_ID && !GUILDS_FILE) {
+  console.error('❌ DISCORD_SERVER_ID (or DISCORD_GUILDS_FILE) not set in .env.local');
+  process.exit(1);
+}
+
+// Without DISCORD_GUILDS_FILE every store uses it; with it, loadGuildConfigs checks each entry
+if (!WEBHOOK_SECRET && !GUILDS_FILE) {
+  console.error('❌ INTERNAL_WEBHOOK_SECRET not set in .env.local');
   process.exit(1);
 }
 
+if (WEBHOOK_ALLOW_LEGACY_SECRET) {
+  console.warn('⚠️ Unsigned webhooks with X-Webhook-Secret are accepted - set WEBHOOK_ALLOW_LEGACY_SECRET=false once the backend signs');
+}
+
 const client = new Client({
   intents: [
     GatewayIntentBits.Guilds,
@@ -51,16 +83,252 @@ const client = new Client({
   ]
 });
 
-// Store active threads for keep-alive pings
+// ============================================================
+// PERSISTENT STATE - Survives bot restarts
+// ============================================================
+
+const STATE_FILE = process.env.BOT_STATE_FILE || path.join(__dirname, 'data', 'bot-state.json');
+
+// Locks older than this belong to a creation that died with the previous process
+const THREAD_LOCK_TTL = 2 * 60 * 1000;
+
+function readStateFile() {
+  try {
+    return JSON.parse(fs.readFileSync(STATE_FILE, 'utf8'));
+  } catch (e) {
+    if (e.code !== 'ENOENT') {
+      console.warn(`⚠️ Could not read state file ${STATE_FILE}, starting fresh:`, e.message);
+    }
+    return {};
+  }
+}
+
+const savedState = readStateFile();
+const persistentMaps = new Map();
+let saveTimer = null;
+
+/**
+ * Map that is written to STATE_FILE whenever it changes.
+ * Values must be plain JSON-serialisable data.
+ */
+class PersistentMap extends Map {
+  constructor(key) {
+    super();
+    for (const [k, v] of Object.entries(savedState[key] || {})) {
+      super.set(k, v);
+    }
+    persistentMaps.set(key, this);
+  }
+  
+  set(key, value) {
+    super.set(key, value);
+    scheduleStateSave();
+    return this;
+  }
+  
+  delete(key) {
+    const deleted = super.delete(key);
+    if (deleted) scheduleStateSave();
+    return deleted;
+  }
+  
+  clear() {
+    super.clear();
+    scheduleStateSave();
+  }
+}
+
+function saveState() {
+  clearTimeout(saveTimer);
+  saveTimer = null;
+  
+  const data = {};
+  for (const [key, map] of persistentMaps) {
+    data[key] = Object.fromEntries(map);
+  }
+  
+  // Write to a temp file first so a crash mid-write never corrupts the state
+  fs.mkdirSync(path.dirname(STATE_FILE), { recursive: true });
+  const tmpFile = `${STATE_FILE}.tmp`;
+  fs.writeFileSync(tmpFile, JSON.stringify(data, null, 2));
+  fs.renameSync(tmpFile, STATE_FILE);
+}
+
+function scheduleStateSave() {
+  if (saveTimer) return;
+  saveTimer = setTimeout(() => {
+    try {
+      saveState();
+    } catch (e) {
+      console.error('❌ Could not save bot state:', e.message);
+    }
+  }, 500);
+}
+
+// Flush pending writes before the process goes away
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.once(signal, () => {
+    try {
+      saveState();
+    } catch (e) {
+      console.error('❌ Could not save bot state on shutdown:', e.message);
+    }
+    process.exit(0);
+  });
+}
+
+// Store active threads for keep-alive pings (in-memory: holds intervals)
 const activeOrderThreads = new Map();
 
-// Store order data temporarily
-const activeOrders = new Map();
+// Orders waiting for the customer to join the server (orderId -> webhook data)
+const activeOrders = new PersistentMap('pendingOrders');
+
+// Order -> thread mapping (orderId -> { threadId, userId, actionMessageId, detailsMessageId, detailsFields, locale, currency, keepAlive, createdAt })
+const orderThreads = new PersistentMap('orderThreads');
+
+// Lock to prevent duplicate thread creation (lockKey -> acquired timestamp)
+const threadCreationLocks = new PersistentMap('threadLocks');
+
+// Staff member who owns each order (orderId -> { staffId, staffTag, claimedAt })
+const orderAssignments = new PersistentMap('orderAssignments');
+
+// #new-orders message for each order (orderId -> { channelId, messageId })
+const staffNotifications = new PersistentMap('staffNotifications');
+
+// create-ticket deliveries already handled (orderId -> { status, customerThreadId, idempotencyKey, receivedAt })
+const ticketDeliveries = new PersistentMap('ticketDeliveries');
+
+// Idempotency-Key header values seen on create-ticket (key -> { orderId, receivedAt })
+const idempotencyKeys = new PersistentMap('idempotencyKeys');
+
+// Lifecycle webhook deliveries (`route:key:<Idempotency-Key>` or `route:order:<orderId>` -> { orderId, fingerprint, status, response, receivedAt })
+const lifecycleDeliveries = new PersistentMap('lifecycleDeliveries');
+
+// Orders not yet delivered/cancelled/refunded (orderId -> { userId, robloxUsername, itemSummary, status, createdAt })
+const openOrders = new PersistentMap('openOrders');
+
+// Messages the bot keeps editing (e.g. 'orderQueue:<guildId>' -> { channelId, messageId })
+const dashboardMessages = new PersistentMap('dashboardMessages');
+
+// Customer ratings (orderId -> { guildId, rating, comment, customerId, staffId, public, publicPost, createdAt })
+const reviews = new PersistentMap('reviews');
+
+// Private server links awaiting delivery (orderId -> { link, label, sentBy, sentByTag, sentAt, expiresAt, threadId, locale, messageId })
+const serverLinks = new PersistentMap('serverLinks');
+
+// Roblox lookups per order (orderId -> { username, status, userId, displayName, avatarUrl, checkedAt })
+const robloxVerifications = new PersistentMap('robloxVerifications');
+
+// Discord client language of users seen in interactions (userId -> locale)
+const customerLocales = new PersistentMap('customerLocales');
+
+// SLA breach history, kept after orders close for reporting (orderId -> [{ type, thresholdMinutes, breachedAt, assignedTo, resolvedAt }])
+const slaBreaches = new PersistentMap('slaBreaches');
+
+// ============================================================
+// GUILD SETTINGS - Roles and channels, changeable with /setup
+// ============================================================
+
+// Overrides saved by /setup (guildId -> { settingKey: roleOrChannelId })
+const guildSettings = new PersistentMap('guildSettings');
+
+// Every role and channel the bot uses.
+// Lookup order: /setup override, the guilds file, the env var, then (channels only) a name match.
+const SETTINGS = {
+  staffRole: { type: 'role', label: 'Staff role', env: 'DISCORD_STAFF_ROLE_ID' },
+  customerRole: { type: 'role', label: 'Customer role', env: 'DISCORD_CUSTOMER_ROLE_ID' },
+  managerRole: { type: 'role', label: 'Manager role (SLA escalations)', env: 'DISCORD_MANAGER_ROLE_ID' },
+  claimHereChannel: {
+    type: 'channel',
+    label: 'Order threads channel',
+    env: 'DISCORD_CLAIM_HERE_CHANNEL_ID',
+    channelType: ChannelType.GuildText,
+    matches: name => name.includes('claim-here')
+  },
+  dashboardCategory: { type: 'channel', label: 'Dashboard category', channelType: ChannelType.GuildCategory, matches: name => name === 'Dashboard' },
+  newOrdersChannel: { type: 'channel', label: 'New order notifications', channelType: ChannelType.GuildText, matches: name => name === 'new-orders' },
+  orderLogChannel: { type: 'channel', label: 'Completed order log', channelType: ChannelType.GuildText, matches: name => name === 'order-saved' },
+  orderQueueChannel: { type: 'channel', label: 'Order queue board', channelType: ChannelType.GuildText, matches: name => name === 'order-queue' },
+  auditLogChannel: { type: 'channel', label: 'Audit log', channelType: ChannelType.GuildText, matches: name => name === 'audit-log' },
+  reviewsChannel: {
+    type: 'channel',
+    label: 'Public reviews',
+    env: 'DISCORD_REVIEWS_CHANNEL_ID',
+    channelType: ChannelType.GuildText,
+    matches: name => name === 'reviews'
+  }
+};
+
+/**
+ * Configured ID for a setting and where it came from ('setup' | 'config' | 'env' | null)
+ */
+function getSettingId(guild, key) {
+  const saved = guild ? guildSettings.get(guild.id)?.[key] : undefined;
+  if (saved) return { id: saved, source: 'setup' };
+  const config = guild ? getGuildConfig(guild) : null;
+  if (config?.settings[key]) return { id: String(config.settings[key]), source: 'config' };
+  const useEnv = !config || config.useEnvSettings;
+  const envId = useEnv && SETTINGS[key].env ? process.env[SETTINGS[key].env] : undefined;
+  return envId ? { id: envId, source: 'env' } : { id: null, source: null };
+}
+
+/**
+ * The single lookup for configured roles and channels.
+ * Returns the Role / channel, or null when it isn't configured or no longer exists.
+ */
+function resolveSetting(guild, key) {
+  if (!guild) return null;
+  const setting = SETTINGS[key];
+  const { id } = getSettingId(guild, key);
+  if (id) {
+    return (setting.type === 'role' ? guild.roles.cache.get(id) : guild.channels.cache.get(id)) || null;
+  }
+  if (!setting.matches) return null;
+  return guild.channels.cache.find(ch => ch.type === setting.channelType && setting.matches(ch.name)) || null;
+}
+
+function memberHasRole(member, key) {
+  const { id } = getSettingId(member?.guild, key);
+  return Boolean(id && member?.roles?.cache?.has(id));
+}
+
+// What the bot needs in #claim-here to build order threads
+const CLAIM_HERE_PERMISSIONS = [
+  PermissionFlagsBits.ViewChannel,
+  PermissionFlagsBits.SendMessages,
+  PermissionFlagsBits.CreatePrivateThreads,
+  PermissionFlagsBits.SendMessagesInThreads,
+  PermissionFlagsBits.ManageThreads
+];
 
-// Lock to prevent duplicate thread creation
-const threadCreationLocks = new Set();
+/**
+ * Why a role/channel can't be used for a setting, or null when it can
+ */
+function validateSettingTarget(guild, key, target) {
+  const setting = SETTINGS[key];
+  if (setting.type === 'role') {
+    if (target.id === guild.id) return '@everyone can\'t be used here.';
+    if (target.managed) return `${target.name} is managed by an integration and can't be assigned.`;
+    return null;
+  }
+  
+  if (target.type !== setting.channelType) {
+    return `${setting.label} must be a ${setting.channelType === ChannelType.GuildCategory ? 'category' : 'text channel'}.`;
+  }
+  if (setting.channelType === ChannelType.GuildText) {
+    const required = key === 'claimHereChannel' ? CLAIM_HERE_PERMISSIONS : [PermissionFlagsBits.ViewChannel, PermissionFlagsBits.SendMessages];
+    const missing = guild.members.me?.permissionsIn(target).missing(required) || [];
+    if (missing.length > 0) return `The bot is missing ${missing.join(', ')} in <#${target.id}>.`;
+  }
+  return null;
+}
 
-// STAFF_ROLE_ID and CUSTOMER_ROLE_ID are loaded from env vars above
+/**
+ * Settings that point at a role or channel the guild no longer has
+ */
+function findBrokenSettings(guild) {
+  return Object.keys(SETTINGS).filter(key => getSettingId(guild, key).id && !resolveSetting(guild, key));
+}
 
 // Helper: delay function for rate limiting
 const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
@@ -84,948 +352,4907 @@ async function withRetry(fn, maxRetries = 3, baseDelay = 1000) {
 }
 
 // ============================================================
-// HELPER FUNCTIONS
+// METRICS - Prometheus text format, served on GET /metrics
 // ============================================================
 
-function getProductName(order, orderId = null) {
-  if (order?.productSummary) return order.productSummary;
-  if (order?.orderItems?.length > 0) {
-    const names = order.orderItems.map(item => item.product?.name || item.productName).filter(Boolean);
-    if (names.length > 0) return names.join(', ');
-  }
-  if (order?.product && order.product !== 'Unknown') return order.product;
-  if (orderId && activeOrders.has(orderId)) {
-    const cached = activeOrders.get(orderId);
-    if (cached?.product) return cached.product;
-  }
-  return 'Unknown Product';
+// Seconds - from a quick backend call up to a thread build that adds every staff member
+const METRIC_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+// name -> { type, help, collect?, values: Map(labelString -> number | histogram) }
+const metrics = new Map();
+
+function defineMetric(name, type, help, collect = null) {
+  metrics.set(name, { type, help, collect, values: new Map() });
 }
 
-function getCustomerEmail(order, orderId = null) {
-  if (order?.customerEmail) return order.customerEmail;
-  if (order?.user?.email) return order.user.email;
-  if (order?.email) return order.email;
-  if (orderId && activeOrders.has(orderId)) {
-    const cached = activeOrders.get(orderId);
-    if (cached?.email) return cached.email;
-  }
-  return 'Not provided';
+function formatMetricLabels(labels = {}) {
+  const pairs = Object.entries(labels)
+    .map(([key, value]) => `${key}="${String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"')}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function incrementMetric(name, labels = {}, by = 1) {
+  const { values } = metrics.get(name);
+  const key = formatMetricLabels(labels);
+  values.set(key, (values.get(key) || 0) + by);
+}
+
+function observeMetric(name, labels, seconds) {
+  const { values } = metrics.get(name);
+  const key = formatMetricLabels(labels);
+  const histogram = values.get(key) || { labels, buckets: METRIC_BUCKETS.map(() => 0), sum: 0, count: 0 };
+  METRIC_BUCKETS.forEach((le, i) => {
+    if (seconds <= le) histogram.buckets[i]++;
+  });
+  histogram.sum += seconds;
+  histogram.count++;
+  values.set(key, histogram);
 }
 
 /**
- * Start keep-alive for a thread (prevents auto-archive)
+ * Gauges are read when scraped; collect() returns [[labels, value], ...]
  */
-function startKeepAlive(thread, orderId) {
-  if (activeOrderThreads.has(orderId)) {
-    clearInterval(activeOrderThreads.get(orderId).interval);
-  }
-  
-  const interval = setInterval(async () => {
-    try {
-      if (thread.archived || thread.locked) {
-        clearInterval(interval);
-        activeOrderThreads.delete(orderId);
-        return;
+function renderMetrics() {
+  const lines = [];
+  for (const [name, metric] of metrics) {
+    lines.push(`# HELP ${name} ${metric.help}`, `# TYPE ${name} ${metric.type}`);
+    if (metric.collect) {
+      metric.values = new Map(metric.collect().map(([labels, value]) => [formatMetricLabels(labels), value]));
+    }
+    for (const [key, value] of metric.values) {
+      if (metric.type !== 'histogram') {
+        lines.push(`${name}${key} ${value}`);
+        continue;
       }
-      const msg = await thread.send('⏳').catch(() => null);
-      if (msg) await msg.delete().catch(() => {});
-    } catch (e) {
-      clearInterval(interval);
-      activeOrderThreads.delete(orderId);
+      METRIC_BUCKETS.forEach((le, i) => lines.push(`${name}_bucket${formatMetricLabels({ ...value.labels, le })} ${value.buckets[i]}`));
+      lines.push(`${name}_bucket${formatMetricLabels({ ...value.labels, le: '+Inf' })} ${value.count}`);
+      lines.push(`${name}_sum${key} ${value.sum}`, `${name}_count${key} ${value.count}`);
     }
-  }, 60000);
-  
-  activeOrderThreads.set(orderId, { thread, interval });
+  }
+  return `${lines.join('\n')}\n`;
 }
 
-function stopKeepAlive(orderId) {
-  if (activeOrderThreads.has(orderId)) {
-    clearInterval(activeOrderThreads.get(orderId).interval);
-    activeOrderThreads.delete(orderId);
-  }
+// Order IDs would make one series per order
+function backendRouteLabel(url = '') {
+  return url.split('?')[0].replace(/^\/api\/orders\/[^/]+/, '/api/orders/:orderId');
 }
 
+defineMetric('bloxbeam_webhooks_received_total', 'counter', 'Webhook requests received, by route');
+defineMetric('bloxbeam_webhooks_rejected_total', 'counter', 'Webhook requests answered with a 4xx (bad store, signature, payload, duplicate in progress)');
+defineMetric('bloxbeam_webhooks_failed_total', 'counter', 'Webhook requests that errored with a 5xx');
+defineMetric('bloxbeam_webhooks_held_total', 'counter', 'Webhook requests turned away with a 503 while the bot was not ready (expected around restarts)');
+defineMetric('bloxbeam_thread_creation_duration_seconds', 'histogram', 'Time to build a customer order thread');
+defineMetric('bloxbeam_backend_request_duration_seconds', 'histogram', 'Backend API call latency, by route');
+defineMetric('bloxbeam_backend_request_errors_total', 'counter', 'Backend API calls that failed, by route and status');
+defineMetric('bloxbeam_dm_failures_total', 'counter', 'Direct messages Discord refused to deliver');
+defineMetric('bloxbeam_keepalive_threads', 'gauge', 'Order threads with an active keep-alive',
+  () => [[{}, activeOrderThreads.size]]);
+defineMetric('bloxbeam_open_orders', 'gauge', 'Orders not yet delivered, cancelled or refunded, by status', () => {
+  const counts = new Map();
+  for (const order of openOrders.values()) {
+    counts.set(order.status, (counts.get(order.status) || 0) + 1);
+  }
+  return [...counts].map(([status, count]) => [{ status }, count]);
+});
+defineMetric('bloxbeam_discord_gateway_ping_seconds', 'gauge', 'Discord gateway heartbeat round trip (-1 before the first heartbeat)',
+  () => [[{}, client.ws.ping >= 0 ? client.ws.ping / 1000 : -1]]);
+
 // ============================================================
-// SLASH COMMANDS
+// WEBHOOK SIGNING - HMAC-SHA256 with timestamp
 // ============================================================
 
-const commands = [
-  {
-    name: 'complete',
-    description: 'Mark an order as completed (auto-deletes threads)',
-    default_member_permissions: '0', // Staff only - requires ManageMessages permission
-    options: [{
-      type: 3,
-      name: 'order_id',
-      description: 'The order ID to mark as completed',
-      required: true
-    }]
-  },
-  {
-    name: 'order-status',
-    description: 'Check the status of an order',
-    default_member_permissions: '0', // Staff only
-    options: [{
-      type: 3,
-      name: 'order_id',
-      description: 'The order ID to check',
-      required: true
-    }]
-  },
-  {
-    name: 'notify-customer',
-    description: 'Send a message to customer\'s private order thread',
-    default_member_permissions: '0', // Staff only
-    options: [
-      {
-        type: 3,
-        name: 'order_id',
-        description: 'The order ID',
-        required: true
-      },
-      {
-        type: 3,
-        name: 'message',
-        description: 'Message to send to customer',
-        required: true
-      }
-    ]
-  },
-  {
-    name: 'send-server-link',
-    description: 'Send a private server link to customer',
-    default_member_permissions: '0', // Staff only
-    options: [
-      {
-        type: 3,
-        name: 'order_id',
-        description: 'The order ID',
-        required: true
-      },
-      {
-        type: 3,
-        name: 'link',
-        description: 'Private server link',
-        required: true
-      }
-    ]
+// Signatures seen inside the tolerance window (signature -> expiresAt)
+const recentWebhookSignatures = new Map();
+
+function signWebhookPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function timingSafeEqualStrings(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * Check a signed request. Returns null when valid, otherwise the reason it was rejected.
+ */
+function checkWebhookSignature(secret, rawBody, timestampHeader, signatureHeader) {
+  if (!timestampHeader || !signatureHeader) return 'Missing signature headers';
+  
+  const timestamp = Number(timestampHeader);
+  if (!Number.isFinite(timestamp)) return 'Invalid timestamp';
+  if (Math.abs(Date.now() / 1000 - timestamp) > WEBHOOK_TOLERANCE_SECONDS) return 'Timestamp outside tolerance window';
+  
+  const signature = String(signatureHeader).replace(/^sha256=/, '');
+  const expected = signWebhookPayload(secret, timestampHeader, rawBody);
+  if (!timingSafeEqualStrings(signature, expected)) return 'Invalid signature';
+  
+  // Forget signatures that can no longer pass the timestamp check
+  const now = Date.now();
+  for (const [seen, expiresAt] of recentWebhookSignatures) {
+    if (expiresAt <= now) recentWebhookSignatures.delete(seen);
   }
-];
+  if (recentWebhookSignatures.has(signature)) return 'Replayed request';
+  recentWebhookSignatures.set(signature, (timestamp + WEBHOOK_TOLERANCE_SECONDS) * 1000);
+  
+  return null;
+}
+
+/**
+ * The store a webhook says it comes from (not yet authenticated)
+ */
+function findWebhookStore(req) {
+  const storeId = req.headers['x-store-id'] || req.body?.store_id || req.body?.guild_id;
+  const store = storeId ? findStoreConfig(String(storeId)) : (guildConfigs.size === 1 ? getGuildConfig(DEFAULT_GUILD_ID) : null);
+  return { storeId, store };
+}
+
+/**
+ * Express middleware for every /webhook route
+ */
+function verifyWebhook(req, res, next) {
+  // Route to the sending store first - each store signs with its own secret
+  const { storeId, store } = findWebhookStore(req);
+  if (!store) {
+    console.warn(`⚠️ Webhook for ${storeId ? `unknown store ${storeId}` : 'no store'} rejected: ${req.path}`);
+    return res.status(storeId ? 401 : 400).json({ error: storeId ? 'Unauthorized' : 'Missing X-Store-Id header' });
+  }
+  req.store = store;
+  
+  const signatureHeader = req.headers['x-webhook-signature'];
+  
+  if (!signatureHeader && WEBHOOK_ALLOW_LEGACY_SECRET) {
+    const webhookSecret = req.headers['x-webhook-secret'];
+    if (webhookSecret && timingSafeEqualStrings(webhookSecret, store.webhookSecret)) {
+      console.warn(`⚠️ Unsigned webhook accepted via legacy secret: ${req.path}`);
+      return next();
+    }
+  }
+  
+  const rejection = checkWebhookSignature(store.webhookSecret, req.rawBody?.toString('utf8') ?? '', req.headers['x-webhook-timestamp'], signatureHeader);
+  if (rejection) {
+    console.warn(`⚠️ Unauthorized webhook request rejected (${rejection}): ${req.path}`);
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  
+  next();
+}
 
 // ============================================================
-// BOT READY - Setup categories and permissions
+// GUILDS - Per-server configuration and backend clients
 // ============================================================
+//
+// Without DISCORD_GUILDS_FILE the bot serves DISCORD_SERVER_ID with the env vars above.
+// With it, the file is a JSON array with one entry per storefront server:
+//   { "guildId": "...", "storeId": "bloxbeam", "backendUrl": "https://...", "webhookSecret": "...",
+//     "currency": "USD", "settings": { "staffRole": "...", "claimHereChannel": "..." } }
+// backendUrl / webhookSecret / currency default to BACKEND_URL / INTERNAL_WEBHOOK_SECRET /
+// DEFAULT_CURRENCY. settings use the keys from SETTINGS and can still be overridden with /setup.
+// Webhooks name their store with the X-Store-Id header (or store_id / guild_id in the payload).
 
-client.once('ready', async () => {
-  console.log(`✅ Bot logged in as ${client.user.tag}`);
+// Intl only checks the shape, so a lowercase or misspelt code would throw mid-order instead of here
+function isCurrencyCode(code) {
+  return typeof code === 'string' && /^[A-Z]{3}$/.test(code);
+}
+
+function loadGuildConfigs() {
+  if (!isCurrencyCode(DEFAULT_CURRENCY)) {
+    console.error(`❌ DEFAULT_CURRENCY "${DEFAULT_CURRENCY}" is not an ISO 4217 code like USD`);
+    process.exit(1);
+  }
+  if (!GUILDS_FILE) {
+    return [{
+      guildId: SERVER_ID,
+      storeId: process.env.STORE_ID || SERVER_ID,
+      backendUrl: BACKEND_URL,
+      webhookSecret: WEBHOOK_SECRET,
+      currency: DEFAULT_CURRENCY,
+      settings: {},
+      useEnvSettings: true
+    }];
+  }
   
+  let entries;
   try {
-    const guild = client.guilds.cache.get(SERVER_ID);
-    if (!guild) {
-      console.error('❌ Bot is not in the specified server');
-      return;
+    entries = JSON.parse(fs.readFileSync(GUILDS_FILE, 'utf8'));
+  } catch (e) {
+    console.error(`❌ Could not read DISCORD_GUILDS_FILE ${GUILDS_FILE}:`, e.message);
+    process.exit(1);
+  }
+  if (!Array.isArray(entries) || entries.length === 0) {
+    console.error('❌ DISCORD_GUILDS_FILE must be a non-empty JSON array');
+    process.exit(1);
+  }
+  
+  const configs = entries.map((entry, i) => {
+    if (!entry?.guildId) {
+      console.error(`❌ DISCORD_GUILDS_FILE entry ${i} has no guildId`);
+      process.exit(1);
     }
-    
-    const botUserId = client.user.id;
-    
-    // Register slash commands
+    if (entry.currency !== undefined && !isCurrencyCode(entry.currency)) {
+      console.error(`❌ DISCORD_GUILDS_FILE entry for guild ${entry.guildId} has currency "${entry.currency}" - use an ISO 4217 code like USD`);
+      process.exit(1);
+    }
+    if (!entry.webhookSecret && !WEBHOOK_SECRET) {
+      console.error(`❌ DISCORD_GUILDS_FILE entry for guild ${entry.guildId} has no webhookSecret (and INTERNAL_WEBHOOK_SECRET is not set)`);
+      process.exit(1);
+    }
+    for (const key of Object.keys(entry.settings || {})) {
+      if (!SETTINGS[key]) console.warn(`⚠️ Unknown setting "${key}" for guild ${entry.guildId} ignored`);
+    }
+    return {
+      guildId: String(entry.guildId),
+      storeId: String(entry.storeId || entry.guildId),
+      backendUrl: entry.backendUrl || BACKEND_URL,
+      webhookSecret: entry.webhookSecret || WEBHOOK_SECRET,
+      currency: entry.currency || DEFAULT_CURRENCY,
+      settings: entry.settings || {},
+      // The server named in DISCORD_SERVER_ID keeps its DISCORD_*_ID env defaults
+      useEnvSettings: String(entry.guildId) === SERVER_ID
+    };
+  });
+  
+  const storeIds = configs.map(c => c.storeId);
+  const duplicate = storeIds.find((id, i) => storeIds.indexOf(id) !== i);
+  if (duplicate) {
+    console.error(`❌ DISCORD_GUILDS_FILE lists store ${duplicate} more than once`);
+    process.exit(1);
+  }
+  return configs;
+}
+
+/**
+ * Authenticated (optionally signed) client for one store's backend
+ */
+function createBackendApi({ backendUrl, webhookSecret }) {
+  const api = axios.create({ baseURL: backendUrl });
+  
+  api.interceptors.request.use((config) => {
+    if (!SIGN_BACKEND_REQUESTS) {
+      config.headers['X-Webhook-Secret'] = webhookSecret;
+    } else {
+      // Serialise here so the signed bytes are exactly the bytes sent
+      let body = '';
+      if (config.data !== undefined) {
+        body = typeof config.data === 'string' ? config.data : JSON.stringify(config.data);
+        config.data = body;
+        config.headers['Content-Type'] = 'application/json';
+      }
+      const timestamp = String(Math.floor(Date.now() / 1000));
+      config.headers['X-Webhook-Timestamp'] = timestamp;
+      config.headers['X-Webhook-Signature'] = `sha256=${signWebhookPayload(webhookSecret, timestamp, body)}`;
+    }
+    
+    config.metricsStartedAt = Date.now();
+    return config;
+  });
+  
+  const observe = (config, status) => {
+    if (!config?.metricsStartedAt) return;
+    const labels = { method: config.method.toUpperCase(), route: backendRouteLabel(config.url) };
+    observeMetric('bloxbeam_backend_request_duration_seconds', labels, (Date.now() - config.metricsStartedAt) / 1000);
+    if (status) incrementMetric('bloxbeam_backend_request_errors_total', { ...labels, status });
+  };
+  api.interceptors.response.use(
+    (response) => {
+      observe(response.config);
+      return response;
+    },
+    (error) => {
+      observe(error.config, error.response?.status || error.code || 'network');
+      return Promise.reject(error);
+    }
+  );
+  
+  return api;
+}
+
+// guildId -> { guildId, storeId, backendUrl, webhookSecret, currency, settings, useEnvSettings, api }
+const guildConfigs = new Map(loadGuildConfigs().map(config => [config.guildId, { ...config, api: createBackendApi(config) }]));
+
+// Records saved before multi-guild support belong to the first server
+const DEFAULT_GUILD_ID = guildConfigs.keys().next().value;
+
+function getGuildConfig(guildOrId) {
+  return guildConfigs.get(typeof guildOrId === 'string' ? guildOrId : guildOrId?.id) || null;
+}
+
+function findStoreConfig(storeId) {
+  return [...guildConfigs.values()].find(c => c.storeId === storeId || c.guildId === storeId) || null;
+}
+
+/**
+ * Backend client for a guild (Guild or ID), falling back to the first server's
+ */
+function backendFor(guildOrId) {
+  return (getGuildConfig(guildOrId) || getGuildConfig(DEFAULT_GUILD_ID)).api;
+}
+
+/**
+ * Which guild an order belongs to - from whichever local record has it, else `fallback`
+ */
+function getOrderGuildId(orderId, fallback = DEFAULT_GUILD_ID) {
+  return openOrders.get(orderId)?.guildId
+    || orderThreads.get(orderId)?.guildId
+    || activeOrders.get(orderId)?.guildId
+    || fallback;
+}
+
+function getOrderGuild(orderId) {
+  return client.guilds.cache.get(getOrderGuildId(orderId)) || null;
+}
+
+/**
+ * Server for an order acted on outside any server (DM buttons, commands in DMs).
+ * Never falls back to the default store: an order no local record knows is looked
+ * up on each store's backend, and null means no store has it.
+ */
+async function findOrderGuild(orderId) {
+  const guildId = getOrderGuildId(orderId, null) || reviews.get(orderId)?.guildId;
+  if (guildId) return client.guilds.cache.get(guildId) || null;
+  
+  for (const config of guildConfigs.values()) {
+    const response = await config.api.get(`/api/orders/${orderId}`).catch(() => null);
+    if (response?.data) return client.guilds.cache.get(config.guildId) || null;
+  }
+  return null;
+}
+
+// ============================================================
+// I18N - Customer-facing text in the buyer's language
+// ============================================================
+//
+// One catalog per language in locales/<code>.json, keyed like "orderDetails.title".
+// Missing keys fall back to English. {name} placeholders are filled from t()'s vars.
+// Locales are kept as BCP 47 tags ('es-419', 'pt-BR') so Intl formats numbers and
+// dates for the region; the catalog is picked by the language part.
+
+const LOCALES_DIR = path.join(__dirname, 'locales');
+const DEFAULT_LOCALE = 'en';
+
+// Intl spells Tagalog 'fil'
+const LOCALE_CATALOG_ALIASES = { fil: 'tl' };
+
+function loadLocaleCatalogs() {
+  const catalogs = {};
+  const files = fs.existsSync(LOCALES_DIR) ? fs.readdirSync(LOCALES_DIR).filter(f => f.endsWith('.json')) : [];
+  for (const file of files) {
+    try {
+      catalogs[path.basename(file, '.json')] = JSON.parse(fs.readFileSync(path.join(LOCALES_DIR, file), 'utf8'));
+    } catch (e) {
+      console.warn(`⚠️ Could not load locale ${file}:`, e.message);
+    }
+  }
+  if (!catalogs[DEFAULT_LOCALE]) {
+    console.error(`❌ locales/${DEFAULT_LOCALE}.json is missing`);
+    process.exit(1);
+  }
+  return catalogs;
+}
+
+const LOCALE_CATALOGS = loadLocaleCatalogs();
+
+function getCatalogCode(locale) {
+  const language = String(locale || '').split('-')[0].toLowerCase();
+  return LOCALE_CATALOG_ALIASES[language] || language;
+}
+
+/**
+ * Canonical tag for a Discord or webhook locale ('es-ES', 'pt_BR', 'tl'), or null when
+ * it isn't a valid locale or we have no catalog for its language
+ */
+function normalizeLocale(locale) {
+  if (typeof locale !== 'string' || !locale.trim()) return null;
+  let tag;
+  try {
+    [tag] = Intl.getCanonicalLocales(locale.trim().replace(/_/g, '-'));
+  } catch {
+    return null;
+  }
+  return LOCALE_CATALOGS[getCatalogCode(tag)] ? tag : null;
+}
+
+function lookupTranslation(catalog, key) {
+  const text = key.split('.').reduce((node, part) => node?.[part], catalog);
+  return typeof text === 'string' ? text : null;
+}
+
+/**
+ * Translate a catalog key, e.g. t('pt-BR', 'orderDetails.totalPaid')
+ */
+function t(locale, key, vars = {}) {
+  const text = lookupTranslation(LOCALE_CATALOGS[getCatalogCode(locale)], key)
+    ?? lookupTranslation(LOCALE_CATALOGS[DEFAULT_LOCALE], key);
+  if (text === null) {
+    console.warn(`⚠️ Missing translation: ${key}`);
+    return key;
+  }
+  return text.replace(/\{(\w+)\}/g, (match, name) => (vars[name] !== undefined ? String(vars[name]) : match));
+}
+
+/**
+ * True when `text` contains the key's text in any language - for recognising
+ * embeds the bot posted earlier, whichever locale they were sent in
+ */
+function matchesTranslation(text, key) {
+  if (!text) return false;
+  return Object.values(LOCALE_CATALOGS).some(catalog => {
+    const translated = lookupTranslation(catalog, key);
+    return translated && text.includes(translated);
+  });
+}
+
+function formatPrice(amount, locale = DEFAULT_LOCALE, currency = DEFAULT_CURRENCY) {
+  return new Intl.NumberFormat(locale || DEFAULT_LOCALE, { style: 'currency', currency: currency || DEFAULT_CURRENCY })
+    .format(Number(amount) || 0);
+}
+
+function formatDateTime(date, locale = DEFAULT_LOCALE) {
+  return new Date(date).toLocaleString(locale || DEFAULT_LOCALE, { dateStyle: 'medium', timeStyle: 'short' });
+}
+
+function getOrderLocale(orderId) {
+  return orderThreads.get(orderId)?.locale
+    || activeOrders.get(orderId)?.locale
+    || openOrders.get(orderId)?.locale
+    || null;
+}
+
+function getOrderCurrency(orderId, guildOrId = getOrderGuildId(orderId)) {
+  return orderThreads.get(orderId)?.currency
+    || activeOrders.get(orderId)?.currency
+    || openOrders.get(orderId)?.currency
+    || getGuildConfig(guildOrId)?.currency
+    || DEFAULT_CURRENCY;
+}
+
+/**
+ * Locale for a customer message: the order's (from the webhook), the customer's Discord
+ * client language from their last interaction, then the server's preferred locale
+ */
+function getCustomerLocale(guild, { orderId = null, userId = null } = {}) {
+  return (orderId && getOrderLocale(orderId))
+    || (userId && customerLocales.get(userId))
+    || normalizeLocale(guild?.preferredLocale)
+    || DEFAULT_LOCALE;
+}
+
+// ============================================================
+// EMBED TEMPLATES - Customer embeds as JSON admins can edit with /template
+// ============================================================
+//
+// A template is a plain embed: title, description, color ('#3DFF88' or a number),
+// footer, thumbnail, image (strings), timestamp (true = time of sending) and fields.
+// Any string may contain:
+//   {name}   - a value from the template's placeholders, e.g. {orderId}
+//   {t:key}  - catalog text in the customer's language, e.g. {t:orderDetails.title}
+// A field whose placeholders are empty is left out (discount rows, promo code, ...),
+// and a value longer than Discord allows is split into "(cont.)" fields.
+// Fields with a `key` are the ones the bot edits in place after sending.
+
+// Admin edits saved by /template (guildId -> { templateName: embed })
+const embedTemplates = new PersistentMap('embedTemplates');
+
+const SAMPLE_ORDER = {
+  orderId: 'ord_sample123456',
+  status: 'PROCESSING',
+  robloxUsername: 'BloxFan2010',
+  email: 'buyer@example.com',
+  orderItems: [
+    { name: 'Dragon Egg', quantity: 2, price: 4.99 },
+    { name: 'Golden Sword', quantity: 1, price: 12.5 }
+  ],
+  total: 19.98,
+  discountAmount: 2.5,
+  discountCode: 'SPRING10',
+  discountPercent: 10,
+  createdAt: '2025-01-15T18:30:00.000Z'
+};
+
+const EMBED_TEMPLATES = {
+  welcome: {
+    label: 'Welcome (#claim-here)',
+    placeholders: [],
+    sample: () => ({}),
+    embed: {
+      title: '{t:welcome.title}',
+      description: '{t:welcome.description}',
+      color: '#3DFF88',
+      fields: [
+        { name: '{t:welcome.checkDms}', value: '{t:welcome.checkDmsValue}' },
+        { name: '{t:welcome.openThread}', value: '{t:welcome.openThreadValue}' },
+        { name: '{t:welcome.receiveDelivery}', value: '{t:welcome.receiveDeliveryValue}' },
+        { name: '{t:welcome.help}', value: '{t:welcome.helpValue}' }
+      ],
+      footer: '{t:welcome.footer}',
+      timestamp: true
+    }
+  },
+  howItWorks: {
+    label: 'How Delivery Works (order thread)',
+    placeholders: [],
+    sample: () => ({}),
+    embed: {
+      title: '{t:howItWorks.title}',
+      description: '{t:howItWorks.description}',
+      color: '#5865F2',
+      fields: [
+        { name: '{t:howItWorks.waitForStaff}', value: '{t:howItWorks.waitForStaffValue}' },
+        { name: '{t:howItWorks.serverLink}', value: '{t:howItWorks.serverLinkValue}' },
+        { name: '{t:howItWorks.joinAndClaim}', value: '{t:howItWorks.joinAndClaimValue}' },
+        { name: '{t:howItWorks.review}', value: '{t:howItWorks.reviewValue}' },
+        { name: '{t:howItWorks.questions}', value: '{t:howItWorks.questionsValue}' }
+      ],
+      footer: '{t:howItWorks.footer}',
+      timestamp: true
+    }
+  },
+  orderDetails: {
+    label: 'Order Details (thread and confirmation DM)',
+    placeholders: ['orderId', 'date', 'status', 'roblox', 'email', 'items', 'originalPrice', 'totalPaid', 'youSaved', 'promoCode', 'referredBy', 'avatarUrl'],
+    sample: (locale) => buildOrderDetailsVars(SAMPLE_ORDER, { locale }),
+    // Thread lookups match the title and Order ID field; order updates edit the keyed fields
+    locked: { title: '{t:orderDetails.title}', idField: '{t:orderDetails.orderId}', keys: ['status', 'roblox', 'email', 'items', 'totalPaid'] },
+    embed: {
+      title: '{t:orderDetails.title}',
+      description: '{t:orderDetails.description}',
+      color: '#3DFF88',
+      thumbnail: '{avatarUrl}',
+      fields: [
+        { name: '{t:orderDetails.orderId}', value: '`{orderId}`', inline: true },
+        { name: '{t:orderDetails.date}', value: '{date}', inline: true },
+        { key: 'status', name: '{t:orderDetails.status}', value: '{status}', inline: true },
+        { key: 'roblox', name: '{t:orderDetails.roblox}', value: '{roblox}', inline: true },
+        { key: 'email', name: '{t:orderDetails.email}', value: '`{email}`', inline: true },
+        { key: 'items', name: '{t:orderDetails.items}', value: '{items}' },
+        { name: '{t:orderDetails.originalPrice}', value: '~~{originalPrice}~~', inline: true },
+        { key: 'totalPaid', name: '{t:orderDetails.totalPaid}', value: '**{totalPaid}**', inline: true },
+        { name: '{t:orderDetails.youSaved}', value: '**{youSaved}**', inline: true },
+        { name: '{t:orderDetails.promoCode}', value: '{promoCode}', inline: true },
+        { name: '{t:orderDetails.referredBy}', value: '{referredBy}', inline: true }
+      ],
+      footer: '{t:common.thankYouFooter}',
+      timestamp: true
+    }
+  },
+  orderConfirmed: {
+    label: 'Order Confirmed (DM, sent with Order Details)',
+    placeholders: ['orderId', 'threadUrl'],
+    sample: () => ({ orderId: SAMPLE_ORDER.orderId, threadUrl: 'https://discord.com/channels/@me' }),
+    embed: {
+      title: '{t:orderConfirmed.title}',
+      description: '{t:orderConfirmed.description}',
+      color: '#3DFF88',
+      fields: [
+        { name: '{t:orderConfirmed.thread}', value: '[{t:common.openThread}]({threadUrl})' }
+      ],
+      footer: '{t:common.deliverySoonFooter}',
+      timestamp: true
+    }
+  },
+  threadReady: {
+    label: 'Order Thread Ready (DM when the customer joins)',
+    placeholders: ['orderId', 'threadUrl'],
+    sample: () => ({ orderId: SAMPLE_ORDER.orderId, threadUrl: 'https://discord.com/channels/@me' }),
+    embed: {
+      title: '{t:threadReady.title}',
+      description: '{t:threadReady.description}\n\n🧵 **[{t:common.openThread}]({threadUrl})**',
+      color: '#3DFF88',
+      fields: [
+        { name: '{t:orderDetails.orderId}', value: '`{orderId}`', inline: true }
+      ],
+      footer: '{t:common.deliverySoonFooter}',
+      timestamp: true
+    }
+  },
+  delivered: {
+    label: 'Order Delivered (thread and DM)',
+    placeholders: ['orderId', 'deliveredBy', 'completedAt', 'reviewPrompt', 'threadStatus'],
+    sample: (locale) => ({
+      orderId: SAMPLE_ORDER.orderId,
+      deliveredBy: '@Staff',
+      completedAt: formatDateTime(new Date(), locale),
+      reviewPrompt: t(locale, 'delivered.reviewValue'),
+      threadStatus: t(locale, 'delivered.threadStatusValue')
+    }),
+    embed: {
+      title: '{t:delivered.title}',
+      description: '{t:delivered.description}',
+      color: '#00FF00',
+      fields: [
+        { name: '{t:delivered.orderId}', value: '`{orderId}`', inline: true },
+        { name: '{t:delivered.deliveredBy}', value: '{deliveredBy}', inline: true },
+        { name: '{t:delivered.completed}', value: '{completedAt}', inline: true },
+        // DM only - the thread is locked and archived, so the stars are never posted there
+        { name: '{t:delivered.review}', value: '{reviewPrompt}' },
+        { name: '{t:delivered.orderAgain}', value: '{t:delivered.orderAgainValue}' },
+        // Thread only - the DM leaves threadStatus empty
+        { name: '{t:delivered.threadStatus}', value: '{threadStatus}' }
+      ],
+      footer: '{t:common.thankYouFooter}',
+      timestamp: true
+    }
+  }
+};
+
+const TEMPLATE_TOKEN = /\{(t:)?([\w.]+)\}/g;
+const TEMPLATE_TEXT_KEYS = ['title', 'description', 'footer', 'thumbnail', 'image'];
+const TEMPLATE_URL_KEYS = ['thumbnail', 'image'];
+
+function getEmbedTemplate(guild, name) {
+  return embedTemplates.get(guild?.id)?.[name] || EMBED_TEMPLATES[name].embed;
+}
+
+/**
+ * Fill {placeholder} and {t:key} tokens. `state.empty` is set when a placeholder had no value.
+ */
+function fillTemplateText(text, vars, locale, state = {}) {
+  return String(text ?? '').replace(TEMPLATE_TOKEN, (match, isCatalog, key) => {
+    if (isCatalog) return t(locale, key);
+    const value = vars[key];
+    if (value === undefined || value === null || value === '') {
+      state.empty = true;
+      return '';
+    }
+    return String(value);
+  });
+}
+
+// Discord rejects the whole embed when a thumbnail/image isn't an http(s) URL
+function isEmbedUrl(text) {
+  try {
+    return ['http:', 'https:'].includes(new URL(text).protocol);
+  } catch {
+    return false;
+  }
+}
+
+function parseTemplateColor(color) {
+  if (typeof color === 'number' && Number.isInteger(color) && color >= 0 && color <= 0xFFFFFF) return color;
+  if (typeof color === 'string' && /^#?[0-9a-f]{6}$/i.test(color)) return parseInt(color.replace('#', ''), 16);
+  return null;
+}
+
+function renderTemplateFields(fields, vars, locale) {
+  return fields.flatMap(field => {
+    const state = {};
+    const name = fillTemplateText(field.name, vars, locale, state).trim();
+    const value = fillTemplateText(field.value, vars, locale, state).trim();
+    if (state.empty || !name || !value) return [];
+    return splitEmbedField(truncateText(name, EMBED_LIMITS.fieldName), value, { inline: Boolean(field.inline) });
+  });
+}
+
+/**
+ * Render a guild's template (or the default) to an embed object for `embeds: [...]`
+ */
+function renderEmbedTemplate(guild, name, vars = {}, locale = DEFAULT_LOCALE, template = getEmbedTemplate(guild, name)) {
+  const text = (key) => fillTemplateText(template[key], vars, locale).trim();
+  const embed = {};
+  
+  if (text('title')) embed.title = truncateText(text('title'), EMBED_LIMITS.title);
+  if (text('description')) embed.description = truncateText(text('description'), EMBED_LIMITS.description);
+  const color = parseTemplateColor(template.color);
+  if (color !== null) embed.color = color;
+  const fields = renderTemplateFields(template.fields || [], vars, locale).slice(0, EMBED_LIMITS.fields);
+  if (fields.length > 0) embed.fields = fields;
+  if (text('footer')) embed.footer = { text: truncateText(text('footer'), EMBED_LIMITS.footer) };
+  if (isEmbedUrl(text('thumbnail'))) embed.thumbnail = { url: text('thumbnail') };
+  if (isEmbedUrl(text('image'))) embed.image = { url: text('image') };
+  if (template.timestamp) embed.timestamp = new Date().toISOString();
+  
+  return embed;
+}
+
+/**
+ * The keyed fields of a template as it was when an embed was sent (key -> field).
+ * Stored with the message so later edits still match after /template edit.
+ */
+function snapshotTemplateFields(guild, name) {
+  return Object.fromEntries((getEmbedTemplate(guild, name).fields || []).filter(f => f.key).map(f => [f.key, f]));
+}
+
+/**
+ * Render only the field with `key`, for editing a sent embed in place.
+ * `sentFields` is the snapshot taken when the embed was sent; without one the current template is used.
+ * Returns [] when there is no such field or its placeholders are empty.
+ */
+function renderTemplateField(guild, name, key, vars, locale, sentFields = null) {
+  const field = sentFields?.[key] || (getEmbedTemplate(guild, name).fields || []).find(f => f.key === key);
+  return field ? renderTemplateFields([field], vars, locale) : [];
+}
+
+function countEmbedText(embed) {
+  return [embed.title, embed.description, embed.footer?.text, ...(embed.fields || []).flatMap(f => [f.name, f.value])]
+    .reduce((sum, text) => sum + (text?.length || 0), 0);
+}
+
+/**
+ * Problems with an edited template, or [] when it can be saved
+ */
+function validateEmbedTemplate(name, template) {
+  if (!template || typeof template !== 'object' || Array.isArray(template)) {
+    return ['The template must be a JSON object.'];
+  }
+  
+  const problems = [];
+  const allowed = [...TEMPLATE_TEXT_KEYS, 'color', 'timestamp', 'fields'];
+  for (const key of Object.keys(template)) {
+    if (!allowed.includes(key)) problems.push(`Unknown property "${key}" (allowed: ${allowed.join(', ')}).`);
+  }
+  for (const key of TEMPLATE_TEXT_KEYS) {
+    if (template[key] !== undefined && typeof template[key] !== 'string') problems.push(`"${key}" must be a string.`);
+  }
+  if (template.color !== undefined && parseTemplateColor(template.color) === null) {
+    problems.push('"color" must look like "#3DFF88".');
+  }
+  if (template.timestamp !== undefined && typeof template.timestamp !== 'boolean') {
+    problems.push('"timestamp" must be true or false.');
+  }
+  
+  const fields = template.fields ?? [];
+  if (!Array.isArray(fields)) {
+    problems.push('"fields" must be an array.');
+  } else {
+    if (fields.length > EMBED_LIMITS.fields) problems.push(`At most ${EMBED_LIMITS.fields} fields are allowed.`);
+    fields.forEach((field, i) => {
+      if (typeof field?.name !== 'string' || !field.name.trim() || typeof field?.value !== 'string' || !field.value.trim()) {
+        problems.push(`Field ${i + 1} needs a "name" and a "value".`);
+      }
+      if (field?.inline !== undefined && typeof field.inline !== 'boolean') problems.push(`Field ${i + 1}: "inline" must be true or false.`);
+    });
+    
+    const { locked } = EMBED_TEMPLATES[name];
+    if (locked) {
+      if (template.title !== locked.title) {
+        problems.push(`"title" must stay "${locked.title}" - the bot finds sent embeds by it.`);
+      }
+      if (!fields.some(f => f?.name === locked.idField && f.value?.includes('{orderId}'))) {
+        problems.push(`Keep the field named "${locked.idField}" with {orderId} in its value - the bot finds order threads by it.`);
+      }
+      for (const key of locked.keys) {
+        if (fields.filter(f => f?.key === key).length !== 1) {
+          problems.push(`Exactly one field needs "key": "${key}" - the bot edits it when the order changes.`);
+        }
+      }
+    }
+  }
+  if (problems.length > 0) return problems;
+  
+  const strings = [...TEMPLATE_TEXT_KEYS.map(key => template[key]), ...fields.flatMap(f => [f.name, f.value])].filter(Boolean);
+  const { placeholders } = EMBED_TEMPLATES[name];
+  for (const [, isCatalog, key] of strings.join('\n').matchAll(TEMPLATE_TOKEN)) {
+    if (isCatalog && !lookupTranslation(LOCALE_CATALOGS[DEFAULT_LOCALE], key)) {
+      problems.push(`{t:${key}} is not in the locale catalog.`);
+    } else if (!isCatalog && !placeholders.includes(key)) {
+      problems.push(`{${key}} isn't available here (use: ${placeholders.map(p => `{${p}}`).join(', ') || 'none'}).`);
+    }
+  }
+  if (problems.length > 0) return [...new Set(problems)];
+  
+  // The sample order is a fair stand-in for real length
+  for (const locale of Object.keys(LOCALE_CATALOGS)) {
+    const sample = EMBED_TEMPLATES[name].sample(locale);
+    for (const key of TEMPLATE_URL_KEYS) {
+      const url = fillTemplateText(template[key], sample, locale).trim();
+      if (url && !isEmbedUrl(url)) return [`"${key}" must be an http(s) URL or a URL placeholder.`];
+    }
+    const rendered = renderEmbedTemplate(null, name, sample, locale, template);
+    if (!rendered.title && !rendered.description && !rendered.fields) {
+      return ['The embed needs a title, description or at least one field.'];
+    }
+    if (countEmbedText(rendered) > EMBED_LIMITS.total) {
+      return [`The embed is longer than Discord's ${EMBED_LIMITS.total} character limit (in ${locale}).`];
+    }
+  }
+  return [];
+}
+
+/**
+ * Placeholder values for the orderDetails template
+ */
+function buildOrderDetailsVars(order, { orderId = order.orderId || order.id, locale = DEFAULT_LOCALE, currency = DEFAULT_CURRENCY, robloxVerification = null } = {}) {
+  const discountCode = order.discountCode || order.promoCode || order.couponCode || null;
+  const discountPercent = order.discountPercent || order.promoDiscount || null;
+  const discountType = order.discountType || order.promoType || null;
+  const discountAmount = Number(order.discountAmount || order.discount || 0);
+  const totalPaid = Number(order.total || order.totalPaid || 0);
+  const originalPrice = Number(order.originalPrice) || totalPaid + discountAmount;
+  const affiliateCode = order.affiliateCode || null;
+  const affiliateName = order.affiliateName || null;
+  const affiliateDiscount = order.affiliateDiscount || null;
+  
+  // Promo code with percentage (or fixed amount) if used
+  let promoCode = '';
+  if (discountCode) {
+    promoCode = `\`${discountCode}\``;
+    if (discountPercent) {
+      promoCode += ` ${t(locale, 'orderDetails.percentOff', { percent: discountPercent })}`;
+    } else if (discountType === 'fixed' && discountAmount > 0) {
+      promoCode += ` ${t(locale, 'orderDetails.amountOff', { amount: formatPrice(discountAmount, locale, currency) })}`;
+    }
+  }
+  
+  let referredBy = '';
+  if (affiliateCode) {
+    referredBy = `\`${affiliateCode}\``;
+    if (affiliateDiscount) {
+      referredBy += ` ${t(locale, 'orderDetails.percentOff', { percent: affiliateDiscount })}`;
+    }
+  }
+  if (affiliateName) {
+    const name = t(locale, 'orderDetails.referredByName', { name: affiliateName });
+    referredBy = referredBy ? `${referredBy} - ${name}` : name;
+  }
+  
+  return {
+    orderId,
+    date: order.createdAt ? formatDateTime(order.createdAt, locale) : t(locale, 'common.unknown'),
+    status: order.status || 'PROCESSING',
+    roblox: formatRobloxField(order.robloxUsername, robloxVerification),
+    email: order.email || order.customerEmail || order.user?.email || t(locale, 'common.notProvided'),
+    items: formatItemsList(order.orderItems || order.products, order.productSummary, locale, currency),
+    // Discount rows only show when there was a discount
+    originalPrice: discountAmount > 0 ? formatPrice(originalPrice, locale, currency) : '',
+    totalPaid: formatPrice(totalPaid, locale, currency),
+    youSaved: discountAmount > 0 ? formatPrice(discountAmount, locale, currency) : '',
+    promoCode,
+    referredBy,
+    avatarUrl: robloxVerification?.avatarUrl || ''
+  };
+}
+
+// ============================================================
+// HELPER FUNCTIONS
+// ============================================================
+
+// Discord embed limits
+const EMBED_LIMITS = {
+  title: 256,
+  description: 4096,
+  fieldName: 256,
+  fieldValue: 1024,
+  footer: 2048,
+  fields: 25,
+  total: 6000
+};
+
+function truncateText(text, max) {
+  const str = String(text ?? '');
+  return str.length > max ? `${str.slice(0, max - 1)}…` : str;
+}
+
+/**
+ * Split a long value over several embed fields on line boundaries.
+ * Anything beyond maxFields is summarised as "…and N more".
+ */
+function splitEmbedField(name, text, { inline = false, maxFields = 3 } = {}) {
+  const limit = EMBED_LIMITS.fieldValue;
+  const lines = String(text || '-').split('\n').map(line => truncateText(line, limit));
+  const chunks = [];
+  let current = '';
+  
+  for (let i = 0; i < lines.length; i++) {
+    const next = current ? `${current}\n${lines[i]}` : lines[i];
+    if (next.length <= limit) {
+      current = next;
+      continue;
+    }
+    chunks.push(current);
+    current = lines[i];
+    if (chunks.length === maxFields) {
+      // Drop whole lines from the last chunk until a count of what's missing fits
+      const kept = chunks[maxFields - 1].split('\n');
+      let remaining = lines.length - i;
+      while (kept.length > 1 && `${kept.join('\n')}\n…and ${remaining} more`.length > limit) {
+        kept.pop();
+        remaining++;
+      }
+      chunks[maxFields - 1] = `${kept.join('\n')}\n…and ${remaining} more`;
+      current = '';
+      break;
+    }
+  }
+  if (current) chunks.push(current);
+  
+  return chunks.map((value, i) => ({
+    name: i === 0 ? name : `${name} (cont.)`,
+    value,
+    inline
+  }));
+}
+
+function formatItemsList(items, fallback = null, locale = DEFAULT_LOCALE, currency = DEFAULT_CURRENCY) {
+  if (!Array.isArray(items) || items.length === 0) return fallback || t(locale, 'common.unknown');
+  return items.map(p => {
+    const qty = Number(p.quantity || 1);
+    const name = p.product?.name || p.name || t(locale, 'common.product');
+    return `• **${name}** (x${qty}) - ${formatPrice(p.price, locale, currency)}`;
+  }).join('\n');
+}
+
+function getProductName(order, orderId = null) {
+  if (order?.productSummary) return order.productSummary;
+  if (order?.orderItems?.length > 0) {
+    const names = order.orderItems.map(item => item.product?.name || item.productName).filter(Boolean);
+    if (names.length > 0) return names.join(', ');
+  }
+  if (order?.product && order.product !== 'Unknown') return order.product;
+  if (orderId && activeOrders.has(orderId)) {
+    const cached = activeOrders.get(orderId);
+    if (cached?.product) return cached.product;
+  }
+  return 'Unknown Product';
+}
+
+function getCustomerEmail(order, orderId = null) {
+  if (order?.customerEmail) return order.customerEmail;
+  if (order?.user?.email) return order.user.email;
+  if (order?.email) return order.email;
+  if (orderId && activeOrders.has(orderId)) {
+    const cached = activeOrders.get(orderId);
+    if (cached?.email) return cached.email;
+  }
+  return 'Not provided';
+}
+
+function setKeepAliveFlag(orderId, keepAlive) {
+  const record = orderThreads.get(orderId);
+  if (record && record.keepAlive !== keepAlive) {
+    orderThreads.set(orderId, { ...record, keepAlive });
+  }
+}
+
+/**
+ * Start keep-alive for a thread (prevents auto-archive)
+ */
+function startKeepAlive(thread, orderId) {
+  if (activeOrderThreads.has(orderId)) {
+    clearInterval(activeOrderThreads.get(orderId).interval);
+  }
+  
+  const interval = setInterval(async () => {
+    try {
+      if (thread.archived || thread.locked) {
+        stopKeepAlive(orderId);
+        return;
+      }
+      const msg = await thread.send('⏳').catch(() => null);
+      if (msg) await msg.delete().catch(() => {});
+    } catch (e) {
+      stopKeepAlive(orderId);
+    }
+  }, 60000);
+  
+  activeOrderThreads.set(orderId, { thread, interval });
+  setKeepAliveFlag(orderId, true);
+}
+
+function stopKeepAlive(orderId) {
+  if (activeOrderThreads.has(orderId)) {
+    clearInterval(activeOrderThreads.get(orderId).interval);
+    activeOrderThreads.delete(orderId);
+  }
+  setKeepAliveFlag(orderId, false);
+}
+
+/**
+ * Thread creation locks - persisted so a restart mid-creation is visible,
+ * but expire after THREAD_LOCK_TTL so a dead process can't hold one forever
+ */
+function acquireThreadLock(lockKey) {
+  const acquiredAt = threadCreationLocks.get(lockKey);
+  if (acquiredAt && Date.now() - acquiredAt < THREAD_LOCK_TTL) {
+    return false;
+  }
+  threadCreationLocks.set(lockKey, Date.now());
+  return true;
+}
+
+function releaseThreadLock(lockKey) {
+  threadCreationLocks.delete(lockKey);
+}
+
+// ============================================================
+// ORDER → THREAD INDEX
+// ============================================================
+
+// Upper bound on archived pages walked by the name-scan fallback
+const ARCHIVED_SCAN_MAX_PAGES = 20;
+
+/**
+ * Record (or update) the thread that belongs to an order
+ */
+function rememberOrderThread(orderId, threadId, extra = {}) {
+  if (!orderId || !threadId) return;
+  extra = Object.fromEntries(Object.entries(extra).filter(([, v]) => v !== undefined));
+  const existing = orderThreads.get(orderId);
+  if (existing?.threadId === threadId && Object.keys(extra).length === 0) return;
+  orderThreads.set(orderId, {
+    keepAlive: false,
+    createdAt: new Date().toISOString(),
+    ...(existing?.threadId === threadId ? existing : {}),
+    ...extra,
+    threadId
+  });
+}
+
+async function fetchThreadById(guild, threadId) {
+  const channel = await guild.channels.fetch(threadId).catch(() => null);
+  return channel?.isThread() ? channel : null;
+}
+
+/**
+ * Last-resort lookup: walk active and ALL archived threads in #claim-here
+ * for the order's 6-character suffix. Suffixes can collide, so when the
+ * Order Details embed is readable it must carry the full order ID.
+ */
+async function scanClaimHereForOrderThread(guild, orderId) {
+  const claimHereChannel = resolveSetting(guild, 'claimHereChannel');
+  
+  if (!claimHereChannel) {
+    console.error(`❌ Could not find claim-here channel! Configure it with /setup channel`);
+    return null;
+  }
+  
+  const orderSuffix = orderId.slice(-6).toUpperCase();
+  const candidates = [];
+  
+  const activeThreads = await claimHereChannel.threads.fetchActive().catch(() => null);
+  for (const thread of activeThreads?.threads.values() || []) {
+    if (thread.name.includes(orderSuffix)) candidates.push(thread);
+  }
+  
+  for (const type of ['private', 'public']) {
+    let before;
+    for (let page = 0; page < ARCHIVED_SCAN_MAX_PAGES; page++) {
+      const archived = await claimHereChannel.threads
+        .fetchArchived({ type, fetchAll: true, before, limit: 100 })
+        .catch(() => null);
+      if (!archived) break;
+      
+      const threads = [...archived.threads.values()];
+      for (const thread of threads) {
+        if (thread.name.includes(orderSuffix)) candidates.push(thread);
+      }
+      
+      if (!archived.hasMore || threads.length === 0) break;
+      before = threads[threads.length - 1].archivedAt;
+    }
+  }
+  
+  if (candidates.length === 0) return null;
+  
+  let fallback = null;
+  for (const thread of candidates) {
+    const messages = await thread.messages.fetch({ limit: 10 }).catch(() => null);
+    const orderEmbed = messages?.find(m => matchesTranslation(m.embeds?.[0]?.title, 'orderDetails.title'))?.embeds?.[0];
+    const embedOrderId = orderEmbed?.fields?.find(f => matchesTranslation(f.name, 'orderDetails.orderId'))?.value;
+    if (embedOrderId?.includes(orderId)) return thread;
+    if (!embedOrderId && !fallback) fallback = thread;
+  }
+  
+  return fallback;
+}
+
+/**
+ * Find the customer thread for an order.
+ * 1. Local orderId → threadId index
+ * 2. discordThreadId saved on the backend order
+ * 3. Name scan of #claim-here (fallback only)
+ */
+async function findOrderThread(guild, orderId) {
+  const indexed = orderThreads.get(orderId);
+  if (indexed?.threadId) {
+    const thread = await fetchThreadById(guild, indexed.threadId);
+    if (thread) return thread;
+    console.warn(`⚠️ Indexed thread ${indexed.threadId} for ${orderId} no longer exists`);
+  }
+  
+  const orderResponse = await backendFor(guild).get(`/api/orders/${orderId}`).catch(() => null);
+  const backendThreadId = orderResponse?.data?.discordThreadId;
+  if (backendThreadId && backendThreadId !== indexed?.threadId) {
+    const thread = await fetchThreadById(guild, backendThreadId);
+    if (thread) {
+      rememberOrderThread(orderId, thread.id, { guildId: guild.id, userId: orderResponse.data.discordId });
+      return thread;
+    }
+  }
+  
+  console.log(`🔍 No indexed thread for ${orderId}, scanning #claim-here...`);
+  const thread = await scanClaimHereForOrderThread(guild, orderId);
+  if (thread) {
+    rememberOrderThread(orderId, thread.id, { guildId: guild.id });
+  }
+  return thread;
+}
+
+// ============================================================
+// AUDIT LOG - Trail of privileged staff and admin actions
+// ============================================================
+
+const AUDIT_LOG_RETENTION_DAYS = Number(process.env.AUDIT_LOG_RETENTION_DAYS) || 180;
+const AUDIT_LOG_MAX_ENTRIES = 5000;
+const AUDIT_SEARCH_LIMIT = 15;
+
+const AUDIT_ACTIONS = {
+  complete: '✅ Complete order',
+  notify_customer: '📨 Message customer',
+  send_server_link: '🔗 Send server link',
+  claim: '🙋 Claim order',
+  cancel: '🚫 Cancel order',
+  refund: '💸 Refund order',
+  setup: '⚙️ Change setting',
+  template: '🧩 Change template'
+};
+
+// The trail only ever grows, so it lives in its own append-only file (one JSON entry per line)
+// instead of being rewritten with STATE_FILE on every change
+const AUDIT_LOG_FILE = process.env.AUDIT_LOG_FILE || path.join(path.dirname(STATE_FILE), 'audit-log.jsonl');
+
+// Pruned lines stay in the file until this many pile up, then it is rewritten
+const AUDIT_LOG_COMPACT_AFTER = 500;
+let auditLogStaleLines = 0;
+
+function writeAuditLog(entries) {
+  fs.mkdirSync(path.dirname(AUDIT_LOG_FILE), { recursive: true });
+  const tmpFile = `${AUDIT_LOG_FILE}.tmp`;
+  fs.writeFileSync(tmpFile, entries.map(entry => `${JSON.stringify(entry)}\n`).join(''));
+  fs.renameSync(tmpFile, AUDIT_LOG_FILE);
+  auditLogStaleLines = 0;
+}
+
+function readAuditLog() {
+  const entries = new Map();
+  
+  // Entries recorded before the trail moved out of STATE_FILE
+  for (const entry of Object.values(savedState.auditLog || {})) {
+    entries.set(entry.id, entry);
+  }
+  
+  try {
+    for (const line of fs.readFileSync(AUDIT_LOG_FILE, 'utf8').split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        const entry = JSON.parse(line);
+        entries.set(entry.id, entry);
+      } catch {
+        // A crash mid-append leaves at most one partial line
+        auditLogStaleLines++;
+      }
+    }
+  } catch (e) {
+    if (e.code !== 'ENOENT') {
+      console.warn(`⚠️ Could not read audit log ${AUDIT_LOG_FILE}:`, e.message);
+    }
+  }
+  
+  if (savedState.auditLog) {
+    try {
+      writeAuditLog([...entries.values()]);
+      console.log(`🛡️ Moved ${Object.keys(savedState.auditLog).length} audit entries to ${AUDIT_LOG_FILE}`);
+    } catch (e) {
+      console.error('❌ Could not write audit log:', e.message);
+    }
+  }
+  return entries;
+}
+
+// Oldest first (entryId -> { guildId, action, actorId, actorTag, orderId, outcome, details, error, at })
+const auditLog = readAuditLog();
+
+function pruneAuditLog() {
+  const cutoff = Date.now() - AUDIT_LOG_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  for (const [id, entry] of auditLog) {
+    if (Date.parse(entry.at) >= cutoff && auditLog.size <= AUDIT_LOG_MAX_ENTRIES) break;
+    auditLog.delete(id);
+    auditLogStaleLines++;
+  }
+  
+  if (auditLogStaleLines >= AUDIT_LOG_COMPACT_AFTER) {
+    try {
+      writeAuditLog([...auditLog.values()]);
+    } catch (e) {
+      console.error('❌ Could not compact audit log:', e.message);
+    }
+  }
+}
+
+function buildAuditEmbed(entry) {
+  const failed = entry.outcome === 'error';
+  const fields = [
+    { name: '👤 By', value: `<@${entry.actorId}> (${entry.actorTag})`, inline: true },
+    { name: '📦 Order', value: entry.orderId ? `\`${entry.orderId}\`` : '—', inline: true },
+    { name: '📊 Outcome', value: failed ? '❌ Error' : '✅ Success', inline: true }
+  ];
+  for (const [name, value] of Object.entries(entry.details || {})) {
+    if (value) fields.push(...splitEmbedField(name, value, { maxFields: 4 }));
+  }
+  if (failed && entry.error) {
+    fields.push({ name: '⚠️ Error', value: truncateText(entry.error, EMBED_LIMITS.fieldValue), inline: false });
+  }
+  
+  return {
+    title: AUDIT_ACTIONS[entry.action] || entry.action,
+    color: failed ? 0xED4245 : 0x5865F2,
+    fields: fields.slice(0, EMBED_LIMITS.fields),
+    footer: { text: `Audit #${entry.id}` },
+    timestamp: entry.at
+  };
+}
+
+/**
+ * Record a privileged action and post it to #audit-log.
+ * details: { 'Field label': text } shown in full (e.g. the whole customer message)
+ */
+function recordAudit(guild, user, action, { orderId = null, outcome = 'success', details = null, error = null } = {}) {
+  const entry = {
+    id: `${Date.now().toString(36)}${crypto.randomBytes(2).toString('hex')}`,
+    guildId: guild?.id || null,
+    action,
+    actorId: user.id,
+    actorTag: user.tag,
+    orderId,
+    outcome,
+    details,
+    error: error ? String(error) : null,
+    at: new Date().toISOString()
+  };
+  auditLog.set(entry.id, entry);
+  try {
+    fs.mkdirSync(path.dirname(AUDIT_LOG_FILE), { recursive: true });
+    fs.appendFileSync(AUDIT_LOG_FILE, `${JSON.stringify(entry)}\n`);
+  } catch (e) {
+    console.error('❌ Could not write audit log:', e.message);
+  }
+  pruneAuditLog();
+  console.log(`🛡️ Audit: ${user.tag} ${action}${orderId ? ` ${orderId}` : ''} -> ${outcome}`);
+  
+  const channel = resolveSetting(guild, 'auditLogChannel');
+  if (channel) {
+    channel.send({ embeds: [buildAuditEmbed(entry)] })
+      .catch(e => console.warn('⚠️ Could not post to audit-log:', e.message));
+  }
+  return entry;
+}
+
+function formatAuditLine(entry) {
+  const when = `<t:${Math.floor(Date.parse(entry.at) / 1000)}:f>`;
+  const order = entry.orderId ? ` • \`${entry.orderId}\`` : '';
+  const outcome = entry.outcome === 'error' ? `❌ ${truncateText(entry.error || 'Error', 80)}` : '✅';
+  return `${when} • ${AUDIT_ACTIONS[entry.action] || entry.action} • <@${entry.actorId}>${order} • ${outcome}`;
+}
+
+async function handleAuditCommand(interaction) {
+  await interaction.deferReply({ ephemeral: true });
+  
+  try {
+    const user = interaction.options.getUser('user');
+    const orderId = interaction.options.getString('order_id');
+    const action = interaction.options.getString('action');
+    
+    const matches = [...auditLog.values()]
+      .filter(entry => entry.guildId === interaction.guildId)
+      .filter(entry => !user || entry.actorId === user.id)
+      .filter(entry => !orderId || entry.orderId === orderId)
+      .filter(entry => !action || entry.action === action)
+      .reverse();
+    
+    const filters = [
+      user && `by <@${user.id}>`,
+      orderId && `order \`${orderId}\``,
+      action && AUDIT_ACTIONS[action]
+    ].filter(Boolean);
+    
+    const lines = [];
+    for (const entry of matches.slice(0, AUDIT_SEARCH_LIMIT)) {
+      const line = formatAuditLine(entry);
+      if ([...lines, line].join('\n').length > EMBED_LIMITS.description) break;
+      lines.push(line);
+    }
+    
+    await interaction.editReply({
+      embeds: [{
+        title: '🛡️ Audit Log',
+        description: lines.length > 0 ? lines.join('\n') : 'No matching actions.',
+        color: 0x5865F2,
+        fields: [
+          { name: 'Filters', value: filters.length > 0 ? filters.join(' • ') : 'None', inline: true },
+          { name: 'Matches', value: matches.length > lines.length ? `${matches.length} (newest ${lines.length} shown)` : String(matches.length), inline: true }
+        ],
+        footer: { text: `Kept for ${AUDIT_LOG_RETENTION_DAYS} days • full entries in #audit-log` },
+        timestamp: new Date().toISOString()
+      }]
+    });
+  } catch (error) {
+    console.error('❌ Audit command error:', error.message);
+    await interaction.editReply({ content: `❌ Error: ${error.message}` });
+  }
+}
+
+// ============================================================
+// SLASH COMMANDS
+// ============================================================
+
+const commands = [
+  {
+    name: 'complete',
+    description: 'Mark an order as completed (auto-deletes threads)',
+    default_member_permissions: '0', // Staff only - requires ManageMessages permission
+    options: [{
+      type: 3,
+      name: 'order_id',
+      description: 'The order ID to mark as completed',
+      required: true
+    }]
+  },
+  {
+    name: 'order-status',
+    description: 'Check the status of an order',
+    default_member_permissions: '0', // Staff only
+    options: [{
+      type: 3,
+      name: 'order_id',
+      description: 'The order ID to check',
+      required: true
+    }]
+  },
+  {
+    name: 'notify-customer',
+    description: 'Send a message to customer\'s private order thread',
+    default_member_permissions: '0', // Staff only
+    options: [
+      {
+        type: 3,
+        name: 'order_id',
+        description: 'The order ID',
+        required: true
+      },
+      {
+        type: 3,
+        name: 'message',
+        description: 'Message to send to customer',
+        required: true
+      }
+    ]
+  },
+  {
+    name: 'cancel',
+    description: 'Cancel an order and lock its thread',
+    default_member_permissions: '0', // Staff only
+    options: [
+      {
+        type: 3,
+        name: 'order_id',
+        description: 'The order ID to cancel',
+        required: true
+      },
+      {
+        type: 3,
+        name: 'reason',
+        description: 'Why the order is being cancelled (shown to the customer)',
+        required: true
+      }
+    ]
+  },
+  {
+    name: 'refund',
+    description: 'Mark an order as refunded and lock its thread',
+    default_member_permissions: '0', // Staff only
+    options: [
+      {
+        type: 3,
+        name: 'order_id',
+        description: 'The order ID that was refunded',
+        required: true
+      },
+      {
+        type: 3,
+        name: 'reason',
+        description: 'Why the order was refunded (shown to the customer)',
+        required: true
+      }
+    ]
+  },
+  {
+    name: 'orders',
+    description: 'List orders with optional filters',
+    default_member_permissions: '0', // Staff only
+    options: [
+      {
+        type: 3,
+        name: 'status',
+        description: 'Only orders with this status',
+        required: false,
+        choices: [
+          { name: 'Processing', value: 'PROCESSING' },
+          { name: 'Delivered', value: 'DELIVERED' },
+          { name: 'Cancelled', value: 'CANCELLED' },
+          { name: 'Refunded', value: 'REFUNDED' },
+          { name: 'Disputed', value: 'DISPUTED' }
+        ]
+      },
+      {
+        type: 6,
+        name: 'assignee',
+        description: 'Only orders claimed by this staff member',
+        required: false
+      },
+      {
+        type: 3,
+        name: 'from',
+        description: 'Orders placed on or after this date (YYYY-MM-DD)',
+        required: false
+      },
+      {
+        type: 3,
+        name: 'to',
+        description: 'Orders placed on or before this date (YYYY-MM-DD)',
+        required: false
+      },
+      {
+        type: 3,
+        name: 'product',
+        description: 'Only orders containing this product (partial name)',
+        required: false
+      }
+    ]
+  },
+  {
+    name: 'stats',
+    description: 'Revenue, volume and staff performance for a period',
+    default_member_permissions: '0', // Staff only
+    options: [
+      {
+        type: 3,
+        name: 'period',
+        description: 'Reporting period',
+        required: true,
+        choices: [
+          { name: 'Today', value: 'today' },
+          { name: 'Last 7 days', value: '7d' },
+          { name: 'Last 30 days', value: '30d' },
+          { name: 'Custom (use from/to)', value: 'custom' }
+        ]
+      },
+      {
+        type: 3,
+        name: 'from',
+        description: 'Custom period start (YYYY-MM-DD)',
+        required: false
+      },
+      {
+        type: 3,
+        name: 'to',
+        description: 'Custom period end (YYYY-MM-DD)',
+        required: false
+      },
+      {
+        type: 5,
+        name: 'csv',
+        description: 'Attach a per-order CSV breakdown',
+        required: false
+      }
+    ]
+  },
+  {
+    name: 'my-orders',
+    description: 'See your BloxBeam orders and get back into your order threads'
+  },
+  {
+    name: 'link-roblox',
+    description: 'Set the Roblox account your order should be delivered to',
+    options: [
+      {
+        type: 3,
+        name: 'username',
+        description: 'Your Roblox username',
+        required: true
+      },
+      {
+        type: 3,
+        name: 'order_id',
+        description: 'Which order (only needed if you have more than one open)',
+        required: false
+      }
+    ]
+  },
+  {
+    name: 'setup',
+    description: 'View or change the roles and channels the bot uses',
+    default_member_permissions: String(PermissionFlagsBits.ManageGuild), // Admins only
+    options: [
+      {
+        type: 1,
+        name: 'view',
+        description: 'Show the current roles and channels'
+      },
+      {
+        type: 1,
+        name: 'role',
+        description: 'Change one of the bot\'s roles',
+        options: [
+          {
+            type: 3,
+            name: 'setting',
+            description: 'Which role to change',
+            required: true,
+            choices: Object.entries(SETTINGS).filter(([, s]) => s.type === 'role').map(([key, s]) => ({ name: s.label, value: key }))
+          },
+          {
+            type: 8,
+            name: 'role',
+            description: 'The role to use',
+            required: true
+          }
+        ]
+      },
+      {
+        type: 1,
+        name: 'channel',
+        description: 'Change one of the bot\'s channels',
+        options: [
+          {
+            type: 3,
+            name: 'setting',
+            description: 'Which channel to change',
+            required: true,
+            choices: Object.entries(SETTINGS).filter(([, s]) => s.type === 'channel').map(([key, s]) => ({ name: s.label, value: key }))
+          },
+          {
+            type: 7,
+            name: 'channel',
+            description: 'The channel (or category) to use',
+            required: true,
+            channel_types: [ChannelType.GuildText, ChannelType.GuildCategory]
+          }
+        ]
+      },
+      {
+        type: 1,
+        name: 'reset',
+        description: 'Go back to the .env / default for a setting',
+        options: [{
+          type: 3,
+          name: 'setting',
+          description: 'Which setting to reset',
+          required: true,
+          choices: Object.entries(SETTINGS).map(([key, s]) => ({ name: s.label, value: key }))
+        }]
+      }
+    ]
+  },
+  {
+    name: 'template',
+    description: 'Preview, edit or reset the embeds customers see',
+    default_member_permissions: String(PermissionFlagsBits.ManageGuild), // Admins only
+    options: [
+      {
+        type: 1,
+        name: 'preview',
+        description: 'Show a template filled in with a sample order',
+        options: [
+          {
+            type: 3,
+            name: 'template',
+            description: 'Which embed',
+            required: true,
+            choices: Object.entries(EMBED_TEMPLATES).map(([key, template]) => ({ name: template.label, value: key }))
+          },
+          {
+            type: 3,
+            name: 'language',
+            description: 'Preview in this language (default: English)',
+            required: false,
+            choices: Object.keys(LOCALE_CATALOGS).map(code => ({ name: code, value: code }))
+          }
+        ]
+      },
+      {
+        type: 1,
+        name: 'edit',
+        description: 'Edit a template as JSON',
+        options: [{
+          type: 3,
+          name: 'template',
+          description: 'Which embed',
+          required: true,
+          choices: Object.entries(EMBED_TEMPLATES).map(([key, template]) => ({ name: template.label, value: key }))
+        }]
+      },
+      {
+        type: 1,
+        name: 'reset',
+        description: 'Go back to the built-in template',
+        options: [{
+          type: 3,
+          name: 'template',
+          description: 'Which embed',
+          required: true,
+          choices: Object.entries(EMBED_TEMPLATES).map(([key, template]) => ({ name: template.label, value: key }))
+        }]
+      }
+    ]
+  },
+  {
+    name: 'audit',
+    description: 'Search the audit log of staff and admin actions',
+    default_member_permissions: '0', // Staff only
+    options: [
+      {
+        type: 6,
+        name: 'user',
+        description: 'Only actions by this member',
+        required: false
+      },
+      {
+        type: 3,
+        name: 'order_id',
+        description: 'Only actions on this order',
+        required: false
+      },
+      {
+        type: 3,
+        name: 'action',
+        description: 'Only this kind of action',
+        required: false,
+        choices: Object.entries(AUDIT_ACTIONS).map(([key, label]) => ({ name: label, value: key }))
+      }
+    ]
+  },
+  {
+    name: 'claim',
+    description: 'Claim an order so you are the staff member handling it',
+    default_member_permissions: '0', // Staff only
+    options: [{
+      type: 3,
+      name: 'order_id',
+      description: 'The order ID to claim',
+      required: true
+    }]
+  },
+  {
+    name: 'send-server-link',
+    description: 'Send a private server link to customer',
+    default_member_permissions: '0', // Staff only
+    options: [
+      {
+        type: 3,
+        name: 'order_id',
+        description: 'The order ID',
+        required: true
+      },
+      {
+        type: 3,
+        name: 'link',
+        description: 'Private server link',
+        required: true
+      }
+    ]
+  }
+];
+
+// ============================================================
+// BOT READY - Setup categories and permissions
+// ============================================================
+
+// Set once startup setup has finished - webhooks get a 503 until then
+let botReady = false;
+
+client.once('ready', async () => {
+  console.log(`✅ Bot logged in as ${client.user.tag}`);
+  
+  for (const config of guildConfigs.values()) {
+    const guild = client.guilds.cache.get(config.guildId);
+    if (!guild) {
+      console.error(`❌ Bot is not in server ${config.guildId} (store ${config.storeId})`);
+      continue;
+    }
+    await setupGuild(guild);
+  }
+  
+  await refreshOrderQueue();
+  setInterval(scheduleOrderQueueRefresh, ORDER_QUEUE_REFRESH_INTERVAL);
+  
+  // SLA checks - escalate unclaimed / undelivered orders
+  setInterval(checkSlaBreaches, SLA_CHECK_INTERVAL);
+  
+  // Private server links stop working once they expire
+  await expireServerLinks();
+  setInterval(expireServerLinks, SERVER_LINK_EXPIRY_CHECK_INTERVAL);
+  
+  botReady = true;
+  console.log('🎉 SETUP COMPLETE!');
+  console.log('📊 STAFF: Added directly to customer threads in #claim-here');
+  console.log('👤 CUSTOMER: Private threads in #claim-here channel');
+});
+
+// A configured server the bot was invited to after startup
+client.on('guildCreate', async (guild) => {
+  if (!getGuildConfig(guild)) {
+    console.warn(`⚠️ Joined unconfigured server ${guild.name} (${guild.id}) - add it to DISCORD_GUILDS_FILE`);
+    return;
+  }
+  await setupGuild(guild);
+  scheduleOrderQueueRefresh();
+});
+
+/**
+ * Register commands and set up channels for one server
+ */
+async function setupGuild(guild) {
+  const { storeId } = getGuildConfig(guild);
+  console.log(`⚙️ Setting up ${guild.name} (store ${storeId})...`);
+  
+  try {
+    const botUserId = client.user.id;
+    
+    // Register slash commands
     const rest = new REST({ version: '10' }).setToken(DISCORD_BOT_TOKEN);
     console.log('📝 Registering slash commands...');
-    await rest.put(Routes.applicationGuildCommands(DISCORD_CLIENT_ID, SERVER_ID), { body: commands });
+    await rest.put(Routes.applicationGuildCommands(DISCORD_CLIENT_ID, guild.id), { body: commands });
     console.log('✅ Slash commands registered!');
     
-    // Use existing server roles from env vars (no role creation)
-    const staffRole = STAFF_ROLE_ID ? guild.roles.cache.get(STAFF_ROLE_ID) : null;
-    const customerRole = CUSTOMER_ROLE_ID ? guild.roles.cache.get(CUSTOMER_ROLE_ID) : null;
-    if (staffRole) {
-      console.log(`✅ Staff role: ${staffRole.name} (${staffRole.id})`);
-    } else {
-      console.warn('⚠️ DISCORD_STAFF_ROLE_ID not set or role not found — staff features disabled');
+    // Use existing server roles (no role creation)
+    for (const key of findBrokenSettings(guild)) {
+      console.warn(`⚠️ ${SETTINGS[key].label} ${getSettingId(guild, key).id} no longer exists - fix it with /setup`);
+    }
+    const staffRole = resolveSetting(guild, 'staffRole');
+    const customerRole = resolveSetting(guild, 'customerRole');
+    if (staffRole) {
+      console.log(`✅ Staff role: ${staffRole.name} (${staffRole.id})`);
+    } else {
+      console.warn('⚠️ Staff role not set or not found (/setup role) — staff features disabled');
+    }
+    if (customerRole) {
+      console.log(`✅ Customer role: ${customerRole.name} (${customerRole.id})`);
+    } else {
+      console.warn('⚠️ Customer role not set or not found (/setup role) — auto-assign disabled');
+    }
+    
+    // =================================================
+    // CLAIM-HERE CHANNEL (use existing channel)
+    // =================================================
+    let claimHereChannel = resolveSetting(guild, 'claimHereChannel');
+    
+    if (claimHereChannel) {
+      // Ensure bot has correct permissions on the existing channel
+      await claimHereChannel.permissionOverwrites.edit(botUserId, {
+        ViewChannel: true,
+        SendMessages: true,
+        ManageChannels: true,
+        ManageThreads: true,
+        CreatePrivateThreads: true,
+        ReadMessageHistory: true,
+        ManageMessages: true
+      }).catch(e => console.warn('⚠️ Could not update bot permissions on claim-here:', e.message));
+      if (staffRole) {
+        await claimHereChannel.permissionOverwrites.edit(staffRole.id, {
+          ViewChannel: true,
+          ReadMessageHistory: true,
+          SendMessages: true,
+          SendMessagesInThreads: true,
+          ManageThreads: true
+        }).catch(e => console.warn('⚠️ Could not update staff permissions on claim-here:', e.message));
+      }
+      console.log(`✅ Using existing claim-here channel: #${claimHereChannel.name} (${claimHereChannel.id})`);
+      
+      // Send welcome embed if channel has no bot messages yet
+      try {
+        const messages = await claimHereChannel.messages.fetch({ limit: 10 });
+        const hasBotEmbed = messages.some(m => m.author.id === botUserId && m.embeds.length > 0);
+        if (!hasBotEmbed) {
+          // Public channel - written in the server's language
+          await claimHereChannel.send({
+            embeds: [renderEmbedTemplate(guild, 'welcome', {}, getCustomerLocale(guild))]
+          });
+          console.log('✅ Sent welcome embed to claim-here channel');
+        }
+      } catch (e) {
+        console.warn('⚠️ Could not send welcome embed:', e.message);
+      }
+    } else {
+      console.error('❌ claim-here channel not found! Set it with /setup channel or DISCORD_CLAIM_HERE_CHANNEL_ID');
+    }
+    
+    // =================================================
+    // DASHBOARD CATEGORY (staff analytics)
+    // =================================================
+    let dashboardCategory = resolveSetting(guild, 'dashboardCategory');
+    
+    if (!dashboardCategory) {
+      dashboardCategory = await guild.channels.create({
+        name: 'Dashboard',
+        type: ChannelType.GuildCategory,
+        permissionOverwrites: [
+          { id: guild.roles.everyone.id, deny: [PermissionFlagsBits.ViewChannel] },
+          staffRole ? { id: staffRole.id, allow: [PermissionFlagsBits.ViewChannel, PermissionFlagsBits.ReadMessageHistory] } : null,
+          customerRole ? { id: customerRole.id, deny: [PermissionFlagsBits.ViewChannel] } : null
+        ].filter(Boolean)
+      });
+      console.log('✅ Created Dashboard category');
+    }
+    
+    // =================================================
+    // ORDER-SAVED CHANNEL (logs completed orders)
+    // =================================================
+    let orderSavedChannel = resolveSetting(guild, 'orderLogChannel');
+    
+    if (!orderSavedChannel) {
+      orderSavedChannel = await guild.channels.create({
+        name: 'order-saved',
+        type: ChannelType.GuildText,
+        parent: dashboardCategory.id,
+        topic: '📋 Completed order logs - All delivered orders are saved here',
+        permissionOverwrites: [
+          { id: guild.roles.everyone.id, deny: [PermissionFlagsBits.ViewChannel] },
+          staffRole ? { id: staffRole.id, allow: [PermissionFlagsBits.ViewChannel, PermissionFlagsBits.ReadMessageHistory], deny: [PermissionFlagsBits.SendMessages] } : null,
+          customerRole ? { id: customerRole.id, deny: [PermissionFlagsBits.ViewChannel] } : null,
+          { id: botUserId, allow: [PermissionFlagsBits.ViewChannel, PermissionFlagsBits.SendMessages] }
+        ].filter(Boolean)
+      });
+      console.log('✅ Created order-saved channel');
+    }
+    
+    // =================================================
+    // new-orders CHANNEL (pings staff for new orders)
+    // =================================================
+    let staffNotifyChannel = resolveSetting(guild, 'newOrdersChannel');
+    
+    if (!staffNotifyChannel) {
+      staffNotifyChannel = await guild.channels.create({
+        name: 'new-orders',
+        type: ChannelType.GuildText,
+        parent: dashboardCategory.id,
+        topic: '🔔 New order notifications - Staff get pinged here for new orders',
+        permissionOverwrites: [
+          { id: guild.roles.everyone.id, deny: [PermissionFlagsBits.ViewChannel] },
+          staffRole ? { id: staffRole.id, allow: [PermissionFlagsBits.ViewChannel, PermissionFlagsBits.ReadMessageHistory] } : null,
+          customerRole ? { id: customerRole.id, deny: [PermissionFlagsBits.ViewChannel] } : null,
+          { id: botUserId, allow: [PermissionFlagsBits.ViewChannel, PermissionFlagsBits.SendMessages] }
+        ].filter(Boolean)
+      });
+      console.log('✅ Created new-orders channel');
+    }
+    
+    // =================================================
+    // order-queue CHANNEL (live board of open orders)
+    // =================================================
+    let orderQueueChannel = resolveSetting(guild, 'orderQueueChannel');
+    
+    if (!orderQueueChannel) {
+      orderQueueChannel = await guild.channels.create({
+        name: 'order-queue',
+        type: ChannelType.GuildText,
+        parent: dashboardCategory.id,
+        topic: '📋 Open orders - oldest first, updated automatically',
+        permissionOverwrites: [
+          { id: guild.roles.everyone.id, deny: [PermissionFlagsBits.ViewChannel] },
+          staffRole ? { id: staffRole.id, allow: [PermissionFlagsBits.ViewChannel, PermissionFlagsBits.ReadMessageHistory], deny: [PermissionFlagsBits.SendMessages] } : null,
+          customerRole ? { id: customerRole.id, deny: [PermissionFlagsBits.ViewChannel] } : null,
+          { id: botUserId, allow: [PermissionFlagsBits.ViewChannel, PermissionFlagsBits.SendMessages] }
+        ].filter(Boolean)
+      });
+      console.log('✅ Created order-queue channel');
+    }
+    
+    // =================================================
+    // audit-log CHANNEL (every privileged staff/admin action)
+    // =================================================
+    if (!resolveSetting(guild, 'auditLogChannel')) {
+      await guild.channels.create({
+        name: 'audit-log',
+        type: ChannelType.GuildText,
+        parent: dashboardCategory.id,
+        topic: '🛡️ Audit log - who did what to which order, and whether it worked',
+        permissionOverwrites: [
+          { id: guild.roles.everyone.id, deny: [PermissionFlagsBits.ViewChannel] },
+          staffRole ? { id: staffRole.id, allow: [PermissionFlagsBits.ViewChannel, PermissionFlagsBits.ReadMessageHistory], deny: [PermissionFlagsBits.SendMessages] } : null,
+          customerRole ? { id: customerRole.id, deny: [PermissionFlagsBits.ViewChannel] } : null,
+          { id: botUserId, allow: [PermissionFlagsBits.ViewChannel, PermissionFlagsBits.SendMessages] }
+        ].filter(Boolean)
+      });
+      console.log('✅ Created audit-log channel');
+    }
+    
+    if (!resolveSetting(guild, 'managerRole')) {
+      console.warn('⚠️ Manager role not set (/setup role) - SLA escalations will ping the staff role');
+    }
+    
+    // =================================================
+    // RESUME: Keep-alives and pending orders from before restart
+    // =================================================
+    await resumePersistedState(guild);
+    
+    // =================================================
+    // CLEANUP: Delete empty threads (no order embeds)
+    // =================================================
+    try {
+      const claimHereChannel = resolveSetting(guild, 'claimHereChannel');
+      
+      if (claimHereChannel) {
+        console.log('🧹 Scanning for empty threads to clean up...');
+        const activeThreads = await claimHereChannel.threads.fetchActive().catch(() => ({ threads: new Map() }));
+        const archivedThreads = await claimHereChannel.threads.fetchArchived().catch(() => ({ threads: new Map() }));
+        
+        const allThreads = [...activeThreads.threads.values(), ...archivedThreads.threads.values()];
+        // Indexed threads are real orders even if a /template edit renamed their embeds
+        const indexedThreadIds = new Set([...orderThreads.values()].map(record => record.threadId));
+        let deletedCount = 0;
+        
+        for (const thread of allThreads) {
+          if (indexedThreadIds.has(thread.id)) continue;
+          try {
+            // Fetch messages to check if thread has order embeds
+            const messages = await thread.messages.fetch({ limit: 10 });
+            const hasOrderEmbed = messages.some(m => 
+              m.embeds?.length > 0 && 
+              (matchesTranslation(m.embeds[0]?.title, 'orderDetails.title') || 
+               matchesTranslation(m.embeds[0]?.title, 'howItWorks.title'))
+            );
+            
+            if (!hasOrderEmbed) {
+              console.log(`🗑️ Deleting empty thread: ${thread.name}`);
+              await thread.delete().catch(() => {});
+              deletedCount++;
+            }
+          } catch (e) {
+            // Skip threads we can't access
+          }
+        }
+        
+        if (deletedCount > 0) {
+          console.log(`✅ Cleaned up ${deletedCount} empty thread(s)`);
+        } else {
+          console.log('✅ No empty threads found');
+        }
+      }
+    } catch (cleanupErr) {
+      console.warn('⚠️ Thread cleanup error:', cleanupErr.message);
+    }
+    
+  } catch (error) {
+    console.error(`❌ Setup error for ${guild.name}:`, error);
+  }
+}
+
+/**
+ * Restore work that was in flight when the bot last stopped
+ */
+async function resumePersistedState(guild) {
+  // Drop only expired locks. A fresh one means the previous process died mid-creation,
+  // possibly after Discord made the thread - retries wait out the TTL rather than make a second one
+  for (const [lockKey, acquiredAt] of threadCreationLocks) {
+    if (Date.now() - acquiredAt >= THREAD_LOCK_TTL) {
+      releaseThreadLock(lockKey);
+    }
+  }
+  
+  // Restart keep-alive pings for threads that were still open
+  let resumedCount = 0;
+  for (const [orderId, record] of orderThreads) {
+    if (!record.keepAlive || getOrderGuildId(orderId) !== guild.id) continue;
+    try {
+      const thread = await guild.channels.fetch(record.threadId).catch(() => null);
+      if (!thread || thread.archived || thread.locked) {
+        setKeepAliveFlag(orderId, false);
+        continue;
+      }
+      startKeepAlive(thread, orderId);
+      resumedCount++;
+    } catch (e) {
+      console.warn(`⚠️ Could not resume keep-alive for ${orderId}:`, e.message);
+    }
+  }
+  console.log(`✅ Resumed ${resumedCount} keep-alive(s)`);
+  
+  // Customers who joined while the bot was offline never fired guildMemberAdd
+  const guildPending = [...activeOrders.keys()].filter(orderId => getOrderGuildId(orderId) === guild.id);
+  const pendingUserIds = new Set(guildPending.map(orderId => activeOrders.get(orderId).user_id).filter(Boolean));
+  if (pendingUserIds.size > 0) {
+    console.log(`📦 ${guildPending.length} pending order(s) for ${pendingUserIds.size} customer(s) restored`);
+  }
+  for (const userId of pendingUserIds) {
+    const member = await guild.members.fetch(userId).catch(() => null);
+    if (member) {
+      await processPendingOrders(guild, member);
+    }
+  }
+}
+
+// ============================================================
+// NEW MEMBER JOINS - Create threads for pending orders + send DM with links
+// ============================================================
+
+client.on('guildMemberAdd', async (member) => {
+  if (!getGuildConfig(member.guild)) return;
+  
+  try {
+    console.log(`👋 New member: ${member.user.tag} (ID: ${member.id})`);
+    
+    const guild = member.guild;
+    const customerRole = resolveSetting(guild, 'customerRole');
+    
+    // Assign Customer/Client role
+    if (customerRole) {
+      await member.roles.add(customerRole);
+    }
+    console.log(`✅ Customer role assigned to ${member.user.tag}`);
+    
+    // Check if this user has any pending orders that need threads created
+    // (handles edge case: webhook fired while user wasn't in server yet)
+    await processPendingOrders(guild, member);
+    
+  } catch (error) {
+    console.error('❌ guildMemberAdd error:', error.message);
+  }
+});
+
+/**
+ * Create threads for orders that arrived while the customer wasn't in the server
+ */
+async function processPendingOrders(guild, member) {
+  try {
+    const cachedOrders = [...activeOrders.entries()]
+      .filter(([orderId, data]) => data.user_id === member.id && getOrderGuildId(orderId) === guild.id);
+    if (cachedOrders.length > 0) {
+      console.log(`📦 Found ${cachedOrders.length} pending order(s) for ${member.user.tag}`);
+      for (const [orderId, orderData] of cachedOrders) {
+        try {
+          // Fetch full order details from backend
+          const orderResponse = await backendFor(guild).get(`/api/orders/${orderId}`).catch(() => null);
+          
+          const order = orderResponse?.data || {
+            orderId,
+            email: orderData.email,
+            productSummary: orderData.product,
+            robloxUsername: orderData.roblox_username,
+            status: 'PROCESSING',
+            createdAt: new Date()
+          };
+          
+          // Only create thread if order isn't already delivered
+          if (order.status !== 'DELIVERED' && !ORDER_CLOSURES[order.status]) {
+            const customerThread = await createCustomerOrderThread(guild, member, { ...order, orderId });
+            if (customerThread) {
+              console.log(`✅ Created pending order thread for ${member.user.tag}: ${orderId}`);
+              // DM customer with thread link
+              try {
+                const threadUrl = `https://discord.com/channels/${guild.id}/${customerThread.id}`;
+                const locale = getCustomerLocale(guild, { orderId, userId: member.id });
+                await member.user.send({
+                  embeds: [renderEmbedTemplate(guild, 'threadReady', { orderId, threadUrl }, locale)]
+                });
+              } catch (dmErr) {
+                console.warn(`⚠️ Could not DM new member:`, dmErr.message);
+                incrementMetric('bloxbeam_dm_failures_total', { recipient: 'customer', message: 'thread_link' });
+              }
+            }
+          }
+          // Remove from cache after processing
+          activeOrders.delete(orderId);
+        } catch (orderErr) {
+          console.warn(`⚠️ Error creating thread for pending order ${orderId}:`, orderErr.message);
+        }
+      }
+    }
+  } catch (pendingErr) {
+    console.warn('⚠️ Error checking pending orders:', pendingErr.message);
+  }
+}
+
+// ============================================================
+// ROBLOX VERIFICATION - Resolve usernames before delivery
+// ============================================================
+
+const ROBLOX_USERNAME_PATTERN = /^[A-Za-z0-9_]{3,20}$/;
+
+const robloxApi = axios.create({ timeout: 5000 });
+
+// Every client implements findUser(username) -> { id, name, displayName, avatarUrl } | null,
+// and throws when the lookup itself fails so "not found" and "couldn't check" stay distinct
+const ROBLOX_LOOKUP_CLIENTS = {
+  roblox: {
+    async findUser(username) {
+      const { data } = await robloxApi.post('https://users.roblox.com/v1/usernames/users', {
+        usernames: [username],
+        excludeBannedUsers: true
+      });
+      const user = data?.data?.[0];
+      if (!user) return null;
+      
+      // A missing avatar shouldn't fail the verification
+      const thumbnail = await robloxApi.get('https://thumbnails.roblox.com/v1/users/avatar-headshot', {
+        params: { userIds: user.id, size: '150x150', format: 'Png', isCircular: false }
+      }).catch(() => null);
+      
+      return {
+        id: String(user.id),
+        name: user.name,
+        displayName: user.displayName,
+        avatarUrl: thumbnail?.data?.data?.[0]?.imageUrl || null
+      };
+    }
+  },
+  
+  // Any valid-looking name resolves to a stable fake ID, except names starting with "unknown"
+  stub: {
+    async findUser(username) {
+      if (/^unknown/i.test(username)) return null;
+      const hash = crypto.createHash('sha256').update(username.toLowerCase()).digest('hex');
+      return { id: String(parseInt(hash.slice(0, 8), 16)), name: username, displayName: username, avatarUrl: null };
+    }
+  }
+};
+
+const robloxLookup = ROBLOX_LOOKUP_CLIENTS[ROBLOX_LOOKUP_CLIENT] || ROBLOX_LOOKUP_CLIENTS.roblox;
+if (!ROBLOX_LOOKUP_CLIENTS[ROBLOX_LOOKUP_CLIENT]) {
+  console.warn(`⚠️ Unknown ROBLOX_LOOKUP_CLIENT "${ROBLOX_LOOKUP_CLIENT}", using the live Roblox API`);
+}
+
+/**
+ * Look a username up without recording anything.
+ * status: 'verified' | 'not_found' | 'error' (lookup failed - try again later)
+ */
+async function lookupRobloxAccount(username) {
+  const checkedAt = new Date().toISOString();
+  if (!ROBLOX_USERNAME_PATTERN.test(username)) {
+    return { username, status: 'not_found', checkedAt };
+  }
+  try {
+    const user = await robloxLookup.findUser(username);
+    if (!user) return { username, status: 'not_found', checkedAt };
+    return {
+      username: user.name,
+      status: 'verified',
+      userId: user.id,
+      displayName: user.displayName,
+      avatarUrl: user.avatarUrl,
+      checkedAt
+    };
+  } catch (e) {
+    console.warn(`⚠️ Roblox lookup failed for ${username}:`, e.message);
+    return { username, status: 'error', checkedAt };
+  }
+}
+
+/**
+ * Verify the Roblox account on an order and remember the result.
+ * Pass `result` when the lookup has already been done.
+ */
+async function verifyRobloxAccount(guild, orderId, username, result = null) {
+  if (!username) return null;
+  
+  const existing = robloxVerifications.get(orderId);
+  if (!result && existing && existing.status !== 'error' && existing.username.toLowerCase() === username.toLowerCase()) {
+    return existing;
+  }
+  
+  const verification = result || await lookupRobloxAccount(username);
+  robloxVerifications.set(orderId, verification);
+  
+  if (verification.status !== 'error') {
+    await backendFor(guild).patch(`/api/orders/${orderId}`, {
+      robloxUserId: verification.userId || null,
+      robloxVerified: verification.status === 'verified'
+    }).catch(e => console.warn(`⚠️ Could not save Roblox verification to backend:`, e.message));
+  }
+  return verification;
+}
+
+/**
+ * Verification for the order's current username, looking it up when it hasn't been checked yet.
+ * A cached result for a previous username doesn't count.
+ */
+async function getOrderRobloxVerification(guild, orderId) {
+  let username = openOrders.get(orderId)?.robloxUsername || activeOrders.get(orderId)?.roblox_username;
+  if (!username) {
+    const orderResponse = await backendFor(guild).get(`/api/orders/${orderId}`).catch(() => null);
+    username = orderResponse?.data?.robloxUsername || robloxVerifications.get(orderId)?.username;
+  }
+  return username ? verifyRobloxAccount(guild, orderId, username) : null;
+}
+
+function formatRobloxField(username, verification) {
+  if (!username) return '`Not linked`';
+  if (verification?.status === 'verified') {
+    return `\`${verification.username}\` ✅\n[ID ${verification.userId}](https://www.roblox.com/users/${verification.userId}/profile)`;
+  }
+  if (verification?.status === 'not_found') return `\`${username}\` ❌ Not found on Roblox`;
+  return `\`${username}\` ⚠️ Unverified`;
+}
+
+/**
+ * Apply a Roblox username change everywhere Discord shows it.
+ * Used by the roblox-username-changed webhook and /link-roblox.
+ */
+async function applyRobloxUsernameChange(guild, orderId, username, previousUsername, verification) {
+  const pending = activeOrders.get(orderId);
+  if (pending) {
+    activeOrders.set(orderId, { ...pending, roblox_username: username });
+  }
+  
+  if (openOrders.has(orderId)) {
+    trackOpenOrder(orderId, { robloxUsername: username });
+  }
+  
+  const change = previousUsername
+    ? `\`${previousUsername}\` → \`${username}\``
+    : `\`${username}\``;
+  
+  const thread = await findOrderThread(guild, orderId);
+  if (thread) {
+    const locale = getCustomerLocale(guild, { orderId });
+    await updateOrderDetailsEmbed(thread, orderId, { robloxUsername: username, robloxVerification: verification });
+    await thread.send({
+      embeds: [{
+        title: t(locale, 'robloxUpdated.title'),
+        description: t(locale, 'robloxUpdated.description', { change }),
+        color: 0x5865F2,
+        timestamp: new Date().toISOString()
+      }]
+    }).catch(e => console.warn(`⚠️ Could not post username notice:`, e.message));
+  }
+  
+  // Staff deliver in-game, so they need to know straight away
+  await postStaffNotice(guild, orderId, {
+    title: '🎮 Roblox Username Changed',
+    description: `Order \`${orderId}\`: ${change}`,
+    color: 0xFFAA00,
+    fields: [
+      { name: '🎮 Roblox', value: formatRobloxField(username, verification), inline: true },
+      { name: '🧵 Order Thread', value: thread ? `<#${thread.id}>` : 'Pending (customer not in server)', inline: false }
+    ],
+    timestamp: new Date().toISOString()
+  });
+  
+  return thread;
+}
+
+async function handleLinkRobloxCommand(interaction) {
+  await interaction.deferReply({ ephemeral: true });
+  // The order isn't known yet - the reply follows the language the customer uses Discord in
+  const locale = getCustomerLocale(interaction.guild, { userId: interaction.user.id });
+  
+  try {
+    const username = interaction.options.getString('username').trim();
+    let orderId = interaction.options.getString('order_id')?.trim();
+    
+    if (!ROBLOX_USERNAME_PATTERN.test(username)) {
+      return await interaction.editReply({ content: t(locale, 'linkRoblox.invalidUsername') });
+    }
+    
+    if (orderId) {
+      const orderGuild = interaction.guild || await findOrderGuild(orderId);
+      if (!orderGuild || await getOrderOwnerId(orderGuild, orderId) !== interaction.user.id) {
+        return await interaction.editReply({ content: t(locale, 'linkRoblox.notYourOrder') });
+      }
+    } else {
+      // Without an order ID, only an unambiguous open order (in this server) can be picked
+      const myOpenOrders = [...openOrders].filter(([id, o]) =>
+        o.userId === interaction.user.id && (!interaction.guild || getOrderGuildId(id) === interaction.guild.id));
+      if (myOpenOrders.length !== 1) {
+        return await interaction.editReply({
+          content: myOpenOrders.length === 0
+            ? t(locale, 'linkRoblox.noOpenOrders')
+            : t(locale, 'linkRoblox.severalOpenOrders', { orders: myOpenOrders.map(([id]) => `• \`${id}\``).join('\n') })
+        });
+      }
+      orderId = myOpenOrders[0][0];
+    }
+    
+    const guild = interaction.guild || await findOrderGuild(orderId);
+    const orderResponse = await backendFor(guild).get(`/api/orders/${orderId}`).catch(() => null);
+    const order = orderResponse?.data;
+    const status = order?.status || openOrders.get(orderId)?.status;
+    if (status === 'DELIVERED' || ORDER_CLOSURES[status]) {
+      return await interaction.editReply({ content: t(locale, 'linkRoblox.alreadyClosed', { orderId, status }) });
+    }
+    
+    const result = await lookupRobloxAccount(username);
+    if (result.status === 'not_found') {
+      return await interaction.editReply({ content: t(locale, 'linkRoblox.notFound', { username }) });
+    }
+    if (result.status === 'error') {
+      return await interaction.editReply({ content: t(locale, 'linkRoblox.robloxDown') });
+    }
+    
+    const previousUsername = order?.robloxUsername || openOrders.get(orderId)?.robloxUsername || null;
+    await backendFor(guild).patch(`/api/orders/${orderId}`, { robloxUsername: result.username });
+    const verification = await verifyRobloxAccount(guild, orderId, result.username, result);
+    console.log(`🎮 ${interaction.user.tag} linked Roblox ${result.username} (${result.userId}) to ${orderId}`);
+    
+    if (guild) {
+      await applyRobloxUsernameChange(guild, orderId, result.username, previousUsername, verification);
+    }
+    
+    await interaction.editReply({
+      embeds: [{
+        title: t(locale, 'linkRoblox.linkedTitle'),
+        description: t(locale, 'linkRoblox.linkedDescription', { orderId, displayName: result.displayName, username: result.username }),
+        color: 0x00FF00,
+        ...(result.avatarUrl && { thumbnail: { url: result.avatarUrl } })
+      }]
+    });
+  } catch (error) {
+    console.error('❌ Link Roblox error:', error.message);
+    await interaction.editReply({ content: t(locale, 'linkRoblox.error', { error: error.response?.data?.error || error.message }) });
+  }
+}
+
+// ============================================================
+// CREATE CUSTOMER ORDER THREAD
+// ============================================================
+
+async function createCustomerOrderThread(guild, member, order) {
+  const userId = member.id;
+  const botUserId = guild.client.user.id;
+  const orderId = order.orderId || order.id;
+  
+  // Debug logging to verify order data
+  console.log(`📦 Creating customer thread with order data:`, {
+    orderId,
+    email: order.email || order.customerEmail,
+    total: order.total || order.totalPaid,
+    discountAmount: order.discountAmount || order.discount,
+    discountCode: order.discountCode || order.promoCode,
+    affiliateCode: order.affiliateCode,
+    orderItemsCount: order.orderItems?.length || 0,
+    productSummary: order.productSummary
+  });
+  
+  console.log(`📝 Creating thread for order ${orderId}...`);
+  
+  const staffRole = resolveSetting(guild, 'staffRole');
+  
+  // Find claim-here channel
+  let claimHereChannel = resolveSetting(guild, 'claimHereChannel');
+  
+  if (!claimHereChannel) {
+    console.error('❌ claim-here channel not found! Set it with /setup channel or DISCORD_CLAIM_HERE_CHANNEL_ID');
+    return null;
+  }
+  
+  const orderSuffix = orderId.slice(-6).toUpperCase();
+  
+  // Prevent duplicate thread creation with a lock
+  const lockKey = `${userId}-${orderId}`;
+  if (!acquireThreadLock(lockKey)) {
+    console.log(`⚠️ Thread creation already in progress for ${orderId}, skipping...`);
+    return null;
+  }
+  const startedAt = Date.now();
+  
+  try {
+  const existingThread = await findOrderThread(guild, orderId);
+  
+  // Delete existing empty thread if found
+  if (existingThread) {
+    console.log(`🗑️ Found existing thread for ${orderId}, deleting it to create fresh one...`);
+    await existingThread.delete().catch(e => console.warn(`⚠️ Could not delete old thread:`, e.message));
+  }
+  
+  // Create PRIVATE order thread (only customer + staff can see it)
+  const orderThread = await claimHereChannel.threads.create({
+    name: `📦 Order-${orderSuffix}`,
+    autoArchiveDuration: ThreadAutoArchiveDuration.OneWeek,
+    type: ChannelType.PrivateThread,
+    invitable: false, // Only added members can see
+    reason: `Order thread for ${orderId}`
+  });
+  
+  // Add customer to thread
+  await orderThread.members.add(userId).catch(e => console.warn(`⚠️ Could not add customer to thread:`, e.message));
+  console.log(`✅ Added customer ${userId} to thread`);
+  
+  // In claim mode only the assigned staff member joins; everyone else stays out
+  const assignment = orderAssignments.get(orderId);
+  if (STAFF_JOIN_ON_CLAIM) {
+    if (assignment) {
+      await orderThread.members.add(assignment.staffId).catch(e => console.warn(`⚠️ Could not add assigned staff:`, e.message));
+      console.log(`✅ Assigned staff ${assignment.staffTag} added to thread`);
+    }
+  } else if (staffRole) {
+    // Add all staff members to the thread so they get notifications
+    // Use role.members instead of fetching all guild members to avoid rate limits
+    const staffMembers = staffRole.members;
+    console.log(`👥 Adding ${staffMembers.size} staff member(s) to customer thread...`);
+    for (const [, staffMember] of staffMembers) {
+      await delay(100); // Small delay between adds to avoid rate limits
+      await orderThread.members.add(staffMember.id).catch(e => console.warn(`⚠️ Could not add ${staffMember.user.tag}:`, e.message));
+    }
+    console.log(`✅ Staff members added to thread`);
+  }
+  
+  // The thread keeps the language it was created in - later edits look fields up by name
+  const locale = normalizeLocale(order.locale) || getCustomerLocale(guild, { orderId, userId });
+  const currency = order.currency || getOrderCurrency(orderId, guild);
+  
+  const instructionEmbed = renderEmbedTemplate(guild, 'howItWorks', {}, locale);
+  const robloxVerification = await verifyRobloxAccount(guild, orderId, order.robloxUsername);
+  const orderEmbed = renderEmbedTemplate(guild, 'orderDetails', buildOrderDetailsVars(order, { orderId, locale, currency, robloxVerification }), locale);
+  const detailsFields = snapshotTemplateFields(guild, 'orderDetails');
+  
+  await orderThread.send({ embeds: [instructionEmbed] });
+  const detailsMessage = await orderThread.send({ embeds: [orderEmbed] });
+  
+  // Ping customer and staff so they see the thread. In claim mode a role mention would
+  // pull every staff member in, so an unclaimed order is only announced in #new-orders
+  const staffPing = assignment
+    ? `<@${assignment.staffId}>`
+    : (!STAFF_JOIN_ON_CLAIM && staffRole ? `<@&${staffRole.id}>` : null);
+  const actionMessage = await orderThread.send({
+    content: [
+      t(locale, 'howItWorks.threadReady', { userId }),
+      staffPing && `${staffPing} ${t(locale, 'howItWorks.newOrder')}`
+    ].filter(Boolean).join(' '),
+    components: [buildOrderActionRow(orderId, { claimedBy: assignment?.staffTag })]
+  });
+  
+  // Save thread ID and URL to backend for permanent record
+  const threadUrl = `https://discord.com/channels/${guild.id}/${orderThread.id}`;
+  await backendFor(guild).patch(`/api/orders/${orderId}`, {
+    discordThreadId: orderThread.id,
+    discordThreadUrl: threadUrl
+  }).catch(e => console.warn(`⚠️ Could not save thread URL to backend:`, e.message));
+  console.log(`💾 Saved thread URL: ${threadUrl}`);
+  
+  // Remember the thread locally so keep-alives survive a restart
+  orderThreads.set(orderId, {
+    threadId: orderThread.id,
+    guildId: guild.id,
+    userId,
+    actionMessageId: actionMessage.id,
+    detailsMessageId: detailsMessage.id,
+    detailsFields,
+    locale,
+    currency,
+    keepAlive: true,
+    createdAt: new Date().toISOString()
+  });
+  
+  // Start keep-alive
+  startKeepAlive(orderThread, orderId);
+  
+  console.log(`✅ Created order thread: Order-${orderSuffix}`);
+  
+  // Release the lock
+  releaseThreadLock(lockKey);
+  observeMetric('bloxbeam_thread_creation_duration_seconds', { outcome: 'success' }, (Date.now() - startedAt) / 1000);
+  
+  return orderThread;
+  } catch (error) {
+    // Release lock on error
+    releaseThreadLock(lockKey);
+    observeMetric('bloxbeam_thread_creation_duration_seconds', { outcome: 'error' }, (Date.now() - startedAt) / 1000);
+    throw error;
+  }
+}
+
+// ============================================================
+// TRANSCRIPTS - Permanent record of the order conversation
+// ============================================================
+
+// Hard stop for very long threads (100 messages per request)
+const TRANSCRIPT_MAX_MESSAGES = 5000;
+
+// Attachment CDN links expire, so files are copied into the HTML transcript.
+// The whole HTML has to fit in one upload; anything past the budget is only listed
+const TRANSCRIPT_MAX_HTML_BYTES = Number(process.env.TRANSCRIPT_MAX_HTML_BYTES) || 8 * 1024 * 1024;
+const TRANSCRIPT_MAX_ATTACHMENT_BYTES = Number(process.env.TRANSCRIPT_MAX_ATTACHMENT_BYTES) || 4 * 1024 * 1024;
+// The backend copy is one JSON request, and the host rejects bodies over ~4.5 MB
+const TRANSCRIPT_MAX_BACKEND_BYTES = Number(process.env.TRANSCRIPT_MAX_BACKEND_BYTES) || 4 * 1024 * 1024;
+
+async function fetchAllThreadMessages(thread) {
+  const messages = [];
+  let before;
+  while (messages.length < TRANSCRIPT_MAX_MESSAGES) {
+    const batch = await thread.messages.fetch({ limit: 100, before });
+    if (batch.size === 0) break;
+    messages.push(...batch.values());
+    before = batch.last().id;
+    if (batch.size < 100) break;
+  }
+  return messages.sort((a, b) => a.createdTimestamp - b.createdTimestamp);
+}
+
+/**
+ * Download thread attachments as data URIs while they're still reachable.
+ * Returns attachment id -> data URI for every file that fit in the budget.
+ */
+async function archiveThreadAttachments(messages, budgetBytes) {
+  const archived = new Map();
+  let remaining = budgetBytes;
+  
+  for (const message of messages) {
+    for (const attachment of message.attachments.values()) {
+      // Base64 grows a file by a third - skip early instead of downloading for nothing
+      if (attachment.size > TRANSCRIPT_MAX_ATTACHMENT_BYTES || Math.ceil(attachment.size / 3) * 4 > remaining) continue;
+      try {
+        const response = await axios.get(attachment.url, {
+          responseType: 'arraybuffer',
+          timeout: 15000,
+          maxContentLength: TRANSCRIPT_MAX_ATTACHMENT_BYTES
+        });
+        const contentType = attachment.contentType || 'application/octet-stream';
+        const dataUri = `data:${contentType};base64,${Buffer.from(response.data).toString('base64')}`;
+        if (dataUri.length > remaining) continue;
+        remaining -= dataUri.length;
+        archived.set(attachment.id, dataUri);
+      } catch (e) {
+        console.warn(`⚠️ Could not archive attachment ${attachment.name}:`, e.message);
+      }
+    }
+  }
+  
+  return archived;
+}
+
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function formatTranscriptTime(date) {
+  return date.toISOString().replace('T', ' ').replace(/\.\d{3}Z$/, ' UTC');
+}
+
+function buildTranscriptText(thread, orderId, messages, archived = new Map()) {
+  const lines = [
+    `BloxBeam Order Transcript`,
+    `Order: ${orderId}`,
+    `Thread: ${thread.name} (${thread.id})`,
+    `Generated: ${formatTranscriptTime(new Date())}`,
+    `Messages: ${messages.length}`,
+    '='.repeat(60),
+    ''
+  ];
+  
+  for (const message of messages) {
+    lines.push(`[${formatTranscriptTime(message.createdAt)}] ${message.author.tag}${message.author.bot ? ' [BOT]' : ''}:`);
+    if (message.content) lines.push(message.content);
+    for (const embed of message.embeds) {
+      lines.push(`  ┌ Embed: ${embed.title || '(untitled)'}`);
+      if (embed.description) lines.push(...embed.description.split('\n').map(l => `  │ ${l}`));
+      for (const field of embed.fields || []) {
+        lines.push(`  │ ${field.name}: ${field.value.replace(/\n/g, ' / ')}`);
+      }
+      if (embed.footer?.text) lines.push(`  └ ${embed.footer.text}`);
+    }
+    for (const attachment of message.attachments.values()) {
+      lines.push(`  📎 ${attachment.name}: ${archived.has(attachment.id) ? '(saved in the HTML transcript)' : `${attachment.url} (not archived - link may expire)`}`);
+    }
+    lines.push('');
+  }
+  
+  return lines.join('\n');
+}
+
+function buildTranscriptHtml(thread, orderId, messages, archived = new Map()) {
+  const renderEmbed = (embed) => {
+    const color = embed.hexColor || '#3DFF88';
+    const fields = (embed.fields || []).map(field =>
+      `<div class="field${field.inline ? ' inline' : ''}"><div class="field-name">${escapeHtml(field.name)}</div><div class="field-value">${escapeHtml(field.value).replace(/\n/g, '<br>')}</div></div>`
+    ).join('');
+    return `<div class="embed" style="border-color:${escapeHtml(color)}">`
+      + (embed.title ? `<div class="embed-title">${escapeHtml(embed.title)}</div>` : '')
+      + (embed.description ? `<div class="embed-description">${escapeHtml(embed.description).replace(/\n/g, '<br>')}</div>` : '')
+      + (fields ? `<div class="fields">${fields}</div>` : '')
+      + (embed.footer?.text ? `<div class="embed-footer">${escapeHtml(embed.footer.text)}</div>` : '')
+      + '</div>';
+  };
+  
+  const renderAttachment = (attachment) => {
+    const dataUri = archived.get(attachment.id);
+    if (!dataUri) {
+      return `<div class="attachment">📎 <a href="${escapeHtml(attachment.url)}">${escapeHtml(attachment.name)}</a> <span class="time">(not archived - link may expire)</span></div>`;
+    }
+    return attachment.contentType?.startsWith('image/')
+      ? `<img class="attachment-image" src="${escapeHtml(dataUri)}" alt="${escapeHtml(attachment.name)}">`
+      : `<div class="attachment">📎 <a href="${escapeHtml(dataUri)}" download="${escapeHtml(attachment.name)}">${escapeHtml(attachment.name)}</a></div>`;
+  };
+  
+  const body = messages.map(message => `
+    <div class="message">
+      <div class="meta"><span class="author${message.author.bot ? ' bot' : ''}">${escapeHtml(message.author.tag)}</span><span class="time">${formatTranscriptTime(message.createdAt)}</span></div>
+      ${message.content ? `<div class="content">${escapeHtml(message.content).replace(/\n/g, '<br>')}</div>` : ''}
+      ${message.embeds.map(renderEmbed).join('')}
+      ${[...message.attachments.values()].map(renderAttachment).join('')}
+    </div>`).join('');
+  
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Order ${escapeHtml(orderId)} - Transcript</title>
+<style>
+  body { background: #313338; color: #dbdee1; font-family: 'gg sans', 'Helvetica Neue', Arial, sans-serif; margin: 0; padding: 24px; }
+  header { border-bottom: 1px solid #4e5058; margin-bottom: 16px; padding-bottom: 12px; }
+  h1 { color: #fff; font-size: 20px; margin: 0 0 4px; }
+  .message { padding: 8px 0; }
+  .meta { margin-bottom: 2px; }
+  .author { color: #fff; font-weight: 600; margin-right: 8px; }
+  .author.bot::after { background: #5865f2; border-radius: 3px; color: #fff; content: 'BOT'; font-size: 10px; margin-left: 4px; padding: 1px 4px; }
+  .time { color: #949ba4; font-size: 12px; }
+  .embed { background: #2b2d31; border-left: 4px solid; border-radius: 4px; margin-top: 4px; max-width: 520px; padding: 8px 12px; }
+  .embed-title { color: #fff; font-weight: 600; margin-bottom: 4px; }
+  .fields { display: flex; flex-wrap: wrap; gap: 8px; margin-top: 8px; }
+  .field { flex: 1 1 100%; }
+  .field.inline { flex: 1 1 30%; }
+  .field-name { color: #fff; font-size: 13px; font-weight: 600; }
+  .field-value, .embed-description { font-size: 14px; }
+  .embed-footer { color: #949ba4; font-size: 12px; margin-top: 8px; }
+  .attachment-image { border-radius: 4px; margin-top: 4px; max-width: 400px; }
+  a { color: #00a8fc; }
+</style>
+</head>
+<body>
+<header>
+  <h1>📦 Order ${escapeHtml(orderId)}</h1>
+  <div>#${escapeHtml(thread.name)} • ${messages.length} messages • Generated ${formatTranscriptTime(new Date())}</div>
+</header>
+${body}
+</body>
+</html>`;
+}
+
+async function buildThreadTranscript(thread, orderId) {
+  const messages = await fetchAllThreadMessages(thread);
+  
+  // Whatever the conversation itself leaves of the upload budget goes to attachments
+  const plainHtml = buildTranscriptHtml(thread, orderId, messages);
+  const archived = await archiveThreadAttachments(messages, TRANSCRIPT_MAX_HTML_BYTES - Buffer.byteLength(plainHtml, 'utf8'));
+  const html = archived.size > 0 ? buildTranscriptHtml(thread, orderId, messages, archived) : plainHtml;
+  const text = buildTranscriptText(thread, orderId, messages, archived);
+  
+  // A thread too long to fit even without attachments still gets the text version
+  const htmlFits = Buffer.byteLength(html, 'utf8') <= TRANSCRIPT_MAX_HTML_BYTES;
+  const files = [new AttachmentBuilder(Buffer.from(text, 'utf8'), { name: `transcript-${orderId}.txt` })];
+  if (htmlFits) {
+    files.unshift(new AttachmentBuilder(Buffer.from(html, 'utf8'), { name: `transcript-${orderId}.html` }));
+  } else {
+    console.warn(`⚠️ HTML transcript for ${orderId} is over ${TRANSCRIPT_MAX_HTML_BYTES} bytes - attaching text only`);
+  }
+  
+  return {
+    messageCount: messages.length,
+    attachmentCount: messages.reduce((sum, message) => sum + message.attachments.size, 0),
+    archivedCount: archived.size,
+    htmlFits,
+    text,
+    html: htmlFits ? html : null,
+    files
+  };
+}
+
+async function saveTranscriptToBackend(orderId, thread, transcript) {
+  const payload = {
+    discordThreadId: thread.id,
+    messageCount: transcript.messageCount,
+    generatedAt: new Date().toISOString(),
+    html: transcript.html,
+    text: transcript.text
+  };
+  const payloadBytes = () => Buffer.byteLength(JSON.stringify(payload), 'utf8');
+  
+  // The archived attachments make the HTML the big part - the thread log copy keeps it either way
+  if (payload.html && payloadBytes() > TRANSCRIPT_MAX_BACKEND_BYTES) {
+    console.warn(`⚠️ Transcript for ${orderId} is over ${TRANSCRIPT_MAX_BACKEND_BYTES} bytes - saving text only to backend`);
+    payload.html = null;
+  }
+  if (payloadBytes() > TRANSCRIPT_MAX_BACKEND_BYTES) {
+    // Escaping makes JSON bytes per character uneven, so trim in proportion and re-measure
+    const marker = '\n[Transcript truncated - full copy is in the order log channel]';
+    let text = payload.text;
+    while (text && payloadBytes() > TRANSCRIPT_MAX_BACKEND_BYTES) {
+      const keep = Math.floor(text.length * (TRANSCRIPT_MAX_BACKEND_BYTES / payloadBytes()) * 0.98);
+      text = text.slice(0, keep);
+      payload.text = text + marker;
+    }
+    console.warn(`⚠️ Text transcript for ${orderId} truncated to ${text.length} characters for backend`);
+  }
+  
+  await backendFor(thread.guild).post(`/api/orders/${orderId}/transcript`, payload)
+    .catch(e => console.warn(`⚠️ Could not save transcript to backend:`, e.message));
+}
+
+// ============================================================
+// COMPLETE ORDER - DELETE THREADS
+// ============================================================
+
+/**
+ * Find or create the #order-saved log channel
+ */
+async function getOrderSavedChannel(guild) {
+  let orderSavedChannel = resolveSetting(guild, 'orderLogChannel');
+  
+  if (!orderSavedChannel) {
+    const dashboardCategory = resolveSetting(guild, 'dashboardCategory');
+    const staffRole = resolveSetting(guild, 'staffRole');
+    const botUserId = guild.client.user.id;
+    
+    orderSavedChannel = await guild.channels.create({
+      name: 'order-saved',
+      type: ChannelType.GuildText,
+      parent: dashboardCategory?.id,
+      topic: '📋 Completed order logs',
+      permissionOverwrites: [
+        { id: guild.roles.everyone.id, deny: [PermissionFlagsBits.ViewChannel] },
+        { id: staffRole?.id, allow: [PermissionFlagsBits.ViewChannel, PermissionFlagsBits.ReadMessageHistory], deny: [PermissionFlagsBits.SendMessages] },
+        { id: botUserId, allow: [PermissionFlagsBits.ViewChannel, PermissionFlagsBits.SendMessages] }
+      ].filter(p => p.id)
+    });
+  }
+  
+  return orderSavedChannel;
+}
+
+async function completeOrder(guild, orderId, completedBy) {
+  // Only what the bot itself knows - the backend was marked delivered just before this
+  const notOpen = await whyOrderNotOpen(guild, orderId, { localOnly: true });
+  if (notOpen) throw new Error(notOpen);
+  
+  console.log(`✅ Completing order ${orderId} - DELETING threads...`);
+  
+  let deletedCount = 0;
+  
+  // Stop keep-alive
+  stopKeepAlive(orderId);
+  
+  // The server link has done its job - revoke it before the thread is archived
+  await revokeServerLink(guild, orderId, 'delivered');
+  
+  // Reviews are credited to whoever delivered
+  const threadRecord = orderThreads.get(orderId);
+  if (threadRecord) {
+    orderThreads.set(orderId, { ...threadRecord, completedBy: String(completedBy) });
+  }
+  
+  // Find or create order-saved channel for logging
+  const orderSavedChannel = await getOrderSavedChannel(guild);
+  
+  // =================================================
+  // FIND order thread (index first, name scan fallback)
+  // =================================================
+  const thread = await findOrderThread(guild, orderId);
+  
+  if (thread) {
+    try {
+      // Get order details from the thread's Order Details embed
+      const orderEmbed = (await findOrderDetailsMessage(thread, orderId))?.embeds?.[0];
+      
+      // Get thread URL for permanent record
+      const threadUrl = `https://discord.com/channels/${guild.id}/${thread.id}`;
+      
+      // Log to order-saved channel
+      const logEmbed = {
+        title: '✅ Order Delivered & Archived',
+        description: 'This order has been successfully completed and the thread is now archived.',
+        color: 0x00FF00,
+        fields: [
+          { name: '📦 Order ID', value: `\`${orderId}\``, inline: true },
+          { name: '👨‍💼 Delivered By', value: `<@${completedBy}>`, inline: true },
+          { name: '📅 Completed', value: new Date().toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' }), inline: true },
+          { name: '🔗 Thread Archive', value: `[View archived thread](${threadUrl})`, inline: false }
+        ],
+        timestamp: new Date().toISOString(),
+        footer: { text: 'BloxBeam Order Log • Thread archived for records' }
+      };
+      
+      // Add ALL order details from the embed if found
+      if (orderEmbed) {
+        for (const field of orderEmbed.fields || []) {
+          // Skip duplicate Order ID field
+          if (matchesTranslation(field.name, 'orderDetails.orderId')) continue;
+          logEmbed.fields.push({ name: field.name, value: field.value, inline: field.inline });
+        }
+      }
+      
+      // Send completion message to customer thread
+      const locale = getCustomerLocale(guild, { orderId, userId: threadRecord?.userId });
+      const deliveredVars = {
+        orderId,
+        deliveredBy: `<@${completedBy}>`,
+        completedAt: formatDateTime(new Date(), locale)
+      };
+      await thread.send({
+        embeds: [renderEmbedTemplate(guild, 'delivered', { ...deliveredVars, threadStatus: t(locale, 'delivered.threadStatusValue') }, locale)]
+      });
+      
+      // Transcript of the whole conversation - survives the thread being deleted
+      const files = [];
+      try {
+        const transcript = await buildThreadTranscript(thread, orderId);
+        files.push(...transcript.files);
+        const notes = [`${transcript.messageCount} messages`];
+        if (transcript.attachmentCount > 0) notes.push(`${transcript.archivedCount}/${transcript.attachmentCount} attachments saved`);
+        if (!transcript.htmlFits) notes.push('text only - HTML too large');
+        logEmbed.fields.push({ name: '📜 Transcript', value: `Attached (${notes.join(', ')})`, inline: false });
+        await saveTranscriptToBackend(orderId, thread, transcript);
+      } catch (e) {
+        console.warn(`⚠️ Could not build transcript for ${orderId}:`, e.message);
+        logEmbed.fields.push({ name: '📜 Transcript', value: 'Unavailable - see thread', inline: false });
+      }
+      
+      await orderSavedChannel.send({ embeds: [logEmbed], files });
+      console.log(`📋 Logged order ${orderId} to order-saved`);
+      
+      // DM the customer that their order is delivered
+      try {
+        const threadMembers = await thread.members.fetch();
+        // Find customer (not staff, not bot)
+        for (const [memberId, threadMember] of threadMembers) {
+          if (memberId === guild.client.user.id) continue; // Skip bot
+          const guildMember = await guild.members.fetch(memberId).catch(() => null);
+          if (!guildMember) continue;
+          if (memberHasRole(guildMember, 'staffRole')) continue; // Skip staff
+          
+          // This is the customer - send DM
+          await guildMember.user.send({
+            embeds: [renderEmbedTemplate(guild, 'delivered', { ...deliveredVars, reviewPrompt: t(locale, 'delivered.reviewValue') }, locale)],
+            components: [buildReviewRow(orderId)]
+          });
+          console.log(`✅ Sent delivery confirmation DM to ${guildMember.user.tag}`);
+          break; // Only DM first customer found
+        }
+      } catch (dmErr) {
+        console.warn(`⚠️ Could not DM customer:`, dmErr.message);
+        incrementMetric('bloxbeam_dm_failures_total', { recipient: 'customer', message: 'delivered' });
+      }
+      
+      // Archive and lock thread (don't delete - keep for history)
+      setTimeout(async () => {
+        try {
+          await thread.setLocked(true);
+          await thread.setArchived(true);
+          console.log(`🔒 Archived and locked thread: ${thread.name}`);
+        } catch (e) {
+          console.warn(`⚠️ Could not archive thread:`, e.message);
+        }
+      }, 10000); // Archive after 10 seconds
+      
+      deletedCount++;
+    } catch (e) {
+      console.warn(`⚠️ Could not process thread ${thread.name}:`, e.message);
+    }
+  } else {
+    console.error(`❌ Could not find thread for order ${orderId}`);
+  }
+  
+  // Delivered orders can't be claimed or worked on any more
+  if (thread) {
+    await updateOrderDetailsEmbed(thread, orderId, { status: 'DELIVERED' });
+  }
+  await closeOrderActionRows(guild, orderId, thread, { status: 'DELIVERED', color: 0x00FF00 });
+  
+  untrackOpenOrder(orderId);
+  
+  return deletedCount;
+}
+
+// ============================================================
+// ORDER ACTION BUTTONS - Thread + #new-orders controls
+// ============================================================
+
+// Staff-only button customId prefix -> what the staff-role error says they can't do
+const STAFF_BUTTONS = {
+  complete_order_: 'complete orders',
+  server_link_: 'send server links',
+  message_customer_: 'message customers',
+  claim_order_: 'claim orders',
+  orders_page_: 'browse orders',
+  confirm_server_link_: 'send server links'
+};
+
+function buildOrderActionRow(orderId, { claimedBy = null, closed = false } = {}) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`complete_order_${orderId}`)
+      .setLabel('Complete')
+      .setEmoji('✅')
+      .setStyle(ButtonStyle.Success)
+      .setDisabled(closed),
+    new ButtonBuilder()
+      .setCustomId(`server_link_${orderId}`)
+      .setLabel('Send Server Link')
+      .setEmoji('🔗')
+      .setStyle(ButtonStyle.Primary)
+      .setDisabled(closed),
+    new ButtonBuilder()
+      .setCustomId(`message_customer_${orderId}`)
+      .setLabel('Message Customer')
+      .setEmoji('📨')
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(closed),
+    new ButtonBuilder()
+      .setCustomId(`claim_order_${orderId}`)
+      .setLabel(claimedBy ? `Claimed by ${claimedBy}` : 'Claim')
+      .setEmoji('🙋')
+      .setStyle(claimedBy ? ButtonStyle.Secondary : ButtonStyle.Success)
+      .setDisabled(closed || Boolean(claimedBy))
+  );
+}
+
+function buildServerLinkModal(orderId) {
+  return new ModalBuilder()
+    .setCustomId(`server_link_modal_${orderId}`)
+    .setTitle(`Server Link • Order ${orderId.slice(-6).toUpperCase()}`)
+    .addComponents(
+      new ActionRowBuilder().addComponents(
+        new TextInputBuilder()
+          .setCustomId('link')
+          .setLabel('Private server link')
+          .setStyle(TextInputStyle.Short)
+          .setPlaceholder('https://www.roblox.com/share?code=...')
+          .setRequired(true)
+      )
+    );
+}
+
+function buildMessageCustomerModal(orderId) {
+  return new ModalBuilder()
+    .setCustomId(`message_customer_modal_${orderId}`)
+    .setTitle(`Message Customer • Order ${orderId.slice(-6).toUpperCase()}`)
+    .addComponents(
+      new ActionRowBuilder().addComponents(
+        new TextInputBuilder()
+          .setCustomId('message')
+          .setLabel('Message')
+          .setStyle(TextInputStyle.Paragraph)
+          .setMaxLength(2000)
+          .setRequired(true)
+      )
+    );
+}
+
+/**
+ * Re-render the action buttons on the order thread's ping message
+ */
+async function refreshThreadActionRow(thread, orderId, { closed = false } = {}) {
+  const actionMessageId = orderThreads.get(orderId)?.actionMessageId;
+  if (!actionMessageId) return;
+  
+  const message = await thread.messages.fetch(actionMessageId).catch(() => null);
+  if (!message) return;
+  
+  const claimedBy = orderAssignments.get(orderId)?.staffTag;
+  await message.edit({ components: [buildOrderActionRow(orderId, { claimedBy, closed })] })
+    .catch(e => console.warn(`⚠️ Could not update thread buttons for ${orderId}:`, e.message));
+}
+
+/**
+ * Disable every action button for an order once it can no longer be worked on.
+ * Pass `status` (and `color`) to also show the final status on the #new-orders embed.
+ */
+async function closeOrderActionRows(guild, orderId, thread = null, { status = null, color = null } = {}) {
+  const claimedBy = orderAssignments.get(orderId)?.staffTag;
+  await updateStaffNotification(guild, orderId, (embed) => {
+    if (status) setEmbedField(embed, { name: '⏱️ Status', value: status, inline: true });
+    if (color) embed.setColor(color);
+    return {
+      embeds: [embed],
+      components: [buildOrderActionRow(orderId, { claimedBy, closed: true })]
+    };
+  });
+  if (thread) {
+    await refreshThreadActionRow(thread, orderId, { closed: true });
+  }
+}
+
+// ============================================================
+// ORDER DETAILS EMBED - Keep the thread in sync with the website
+// ============================================================
+
+async function findOrderDetailsMessage(thread, orderId) {
+  const detailsMessageId = orderThreads.get(orderId)?.detailsMessageId;
+  if (detailsMessageId) {
+    const message = await thread.messages.fetch(detailsMessageId).catch(() => null);
+    if (message) return message;
+  }
+  
+  // Older threads: the details embed is one of the first messages
+  const botUserId = thread.client.user.id;
+  const messages = await thread.messages.fetch({ after: thread.id, limit: 10 }).catch(() => null);
+  const message = messages?.find(m => m.author.id === botUserId && matchesTranslation(m.embeds?.[0]?.title, 'orderDetails.title'));
+  if (message) {
+    const record = orderThreads.get(orderId);
+    if (record) orderThreads.set(orderId, { ...record, detailsMessageId: message.id });
+  }
+  return message || null;
+}
+
+/**
+ * Edit the Order Details embed in place.
+ * changes: { status, robloxUsername, robloxVerification, email, totalPaid, items }
+ * `items` is a preformatted list - see formatItemsList() with the order's locale.
+ */
+async function updateOrderDetailsEmbed(thread, orderId, changes) {
+  try {
+    const message = await findOrderDetailsMessage(thread, orderId);
+    if (!message) {
+      console.warn(`⚠️ No Order Details embed found for ${orderId}`);
+      return false;
+    }
+    
+    // Fields come from the orderDetails template, in the language the embed was posted in
+    const record = orderThreads.get(orderId);
+    const locale = record?.locale || DEFAULT_LOCALE;
+    const renderField = (key, vars) => renderTemplateField(thread.guild, 'orderDetails', key, vars, locale, record?.detailsFields);
+    const embed = EmbedBuilder.from(message.embeds[0]);
+    const replaceField = (key, vars) => {
+      const [field] = renderField(key, vars);
+      if (field) setEmbedField(embed, field);
+    };
+    
+    if (changes.status) {
+      replaceField('status', { status: changes.status });
+    }
+    if (changes.robloxUsername) {
+      replaceField('roblox', { roblox: formatRobloxField(changes.robloxUsername, changes.robloxVerification) });
+      embed.setThumbnail(changes.robloxVerification?.avatarUrl || null);
+    }
+    if (changes.email) {
+      replaceField('email', { email: changes.email });
+    }
+    if (changes.totalPaid !== undefined) {
+      replaceField('totalPaid', { totalPaid: formatPrice(changes.totalPaid, locale, getOrderCurrency(orderId)) });
+    }
+    const itemFields = changes.items ? renderField('items', { items: changes.items }) : [];
+    if (itemFields.length > 0) {
+      // Items may span several "(cont.)" fields - swap them all for the new list
+      const itemsName = itemFields[0].name;
+      const fields = embed.data.fields || [];
+      const first = fields.findIndex(f => f.name.startsWith(itemsName));
+      const count = fields.filter(f => f.name.startsWith(itemsName)).length;
+      if (first === -1) {
+        embed.addFields(itemFields);
+      } else {
+        embed.spliceFields(first, count, ...itemFields);
+      }
+    }
+    
+    await message.edit({ embeds: [embed, ...message.embeds.slice(1)] });
+    return true;
+  } catch (e) {
+    console.warn(`⚠️ Could not update Order Details for ${orderId}:`, e.message);
+    return false;
+  }
+}
+
+/**
+ * Post a notice to #new-orders, as a reply to the order's notification when there is one
+ */
+async function postStaffNotice(guild, orderId, embed, content = undefined) {
+  const staffNotifyChannel = resolveSetting(guild, 'newOrdersChannel');
+  if (!staffNotifyChannel) return;
+  
+  const ref = staffNotifications.get(orderId);
+  await staffNotifyChannel.send({
+    content,
+    embeds: [embed],
+    reply: ref?.channelId === staffNotifyChannel.id ? { messageReference: ref.messageId, failIfNotExists: false } : undefined
+  }).catch(e => console.warn(`⚠️ Could not post staff notice for ${orderId}:`, e.message));
+}
+
+// ============================================================
+// ORDER QUEUE - Live board of open orders in #order-queue
+// ============================================================
+
+const ORDER_QUEUE_REFRESH_INTERVAL = Number(process.env.ORDER_QUEUE_REFRESH_INTERVAL) || 5 * 60 * 1000;
+let orderQueueRefreshTimer = null;
+
+function summariseItems(items) {
+  return items
+    .map(p => `${p.product?.name || p.name || 'Product'}${Number(p.quantity || 1) > 1 ? ` x${p.quantity}` : ''}`)
+    .join(', ');
+}
+
+function trackOpenOrder(orderId, data) {
+  openOrders.set(orderId, { ...openOrders.get(orderId), ...data });
+  scheduleOrderQueueRefresh();
+}
+
+/**
+ * Why staff can no longer act on an order, or null while it is open.
+ * Orders the bot isn't tracking are looked up on the backend (unless `localOnly`);
+ * if that fails the action is allowed.
+ */
+async function whyOrderNotOpen(guild, orderId, { localOnly = false } = {}) {
+  const record = orderThreads.get(orderId);
+  let status = openOrders.get(orderId)?.status || record?.closedAs || (record?.completedBy ? 'DELIVERED' : null);
+  if (!status && !localOnly) {
+    const response = await backendFor(guild).get(`/api/orders/${orderId}`).catch(e => e.response || null);
+    if (response?.status === 404) return `Order **${orderId}** was not found.`;
+    status = response?.data?.status;
+  }
+  if (status === 'DELIVERED' || ORDER_CLOSURES[status]) {
+    return `Order **${orderId}** is already ${status.toLowerCase()}.`;
+  }
+  return null;
+}
+
+function untrackOpenOrder(orderId) {
+  resolveSlaBreaches(orderId);
+  if (openOrders.delete(orderId)) {
+    scheduleOrderQueueRefresh();
+  }
+}
+
+function buildOrderQueueEmbed(guild) {
+  const orders = [...openOrders.entries()]
+    .filter(([orderId]) => getOrderGuildId(orderId) === guild.id)
+    .sort(([, a], [, b]) => Date.parse(a.createdAt) - Date.parse(b.createdAt));
+  
+  const lines = orders.map(([orderId, order], i) => {
+    const assignment = orderAssignments.get(orderId);
+    const threadId = orderThreads.get(orderId)?.threadId;
+    const createdAt = Math.floor(Date.parse(order.createdAt) / 1000);
+    const overdue = slaBreaches.get(orderId)?.some(b => !b.resolvedAt);
+    return [
+      `**${i + 1}.** \`${orderId.slice(-6).toUpperCase()}\` • <t:${createdAt}:R>${overdue ? ' • ⏰ **OVERDUE**' : ''}${order.status === 'DISPUTED' ? ' • ⚠️ **DISPUTED**' : ''}`,
+      `　🙋 ${assignment ? `<@${assignment.staffId}>` : '**Unclaimed**'} • 🎮 \`${order.robloxUsername || 'Not linked'}\``,
+      `　🛒 ${truncateText(order.itemSummary || 'Unknown', 80)} • ${threadId ? `<#${threadId}>` : 'Customer not in server'}`
+    ].join('\n');
+  });
+  
+  // Keep whole entries and note how many didn't fit
+  let description = '';
+  for (let i = 0; i < lines.length; i++) {
+    const more = `\n\n…and ${lines.length - i} more`;
+    const next = description ? `${description}\n\n${lines[i]}` : lines[i];
+    if (next.length + more.length > EMBED_LIMITS.description) {
+      description += more;
+      break;
+    }
+    description = next;
+  }
+  
+  const unclaimed = orders.filter(([orderId]) => !orderAssignments.has(orderId)).length;
+  
+  return new EmbedBuilder()
+    .setTitle('📋 Open Orders')
+    .setColor(orders.length === 0 ? 0x00FF00 : 0xFF9900)
+    .setDescription(description || '✅ No open orders - everything has been delivered!')
+    .addFields(
+      { name: '📦 Open', value: String(orders.length), inline: true },
+      { name: '🙋 Unclaimed', value: String(unclaimed), inline: true }
+    )
+    .setFooter({ text: 'Oldest first • Updates automatically' })
+    .setTimestamp();
+}
+
+async function refreshOrderQueue() {
+  for (const guildId of guildConfigs.keys()) {
+    const guild = client.guilds.cache.get(guildId);
+    if (guild) await refreshGuildOrderQueue(guild);
+  }
+}
+
+async function refreshGuildOrderQueue(guild) {
+  const orderQueueChannel = resolveSetting(guild, 'orderQueueChannel');
+  if (!orderQueueChannel) return;
+  
+  try {
+    const payload = { embeds: [buildOrderQueueEmbed(guild)] };
+    // 'orderQueue' is the single-server key from before multi-guild support
+    const key = `orderQueue:${guild.id}`;
+    const ref = dashboardMessages.get(key) || dashboardMessages.get('orderQueue');
+    const message = ref?.channelId === orderQueueChannel.id
+      ? await orderQueueChannel.messages.fetch(ref.messageId).catch(() => null)
+      : null;
+    
+    if (message) {
+      await message.edit(payload);
+    } else {
+      const sent = await orderQueueChannel.send(payload);
+      dashboardMessages.set(key, { channelId: orderQueueChannel.id, messageId: sent.id });
+    }
+  } catch (e) {
+    console.warn(`⚠️ Could not refresh order queue for ${guild.name}:`, e.message);
+  }
+}
+
+/**
+ * Coalesce bursts of events into a single edit
+ */
+function scheduleOrderQueueRefresh() {
+  if (orderQueueRefreshTimer || !client.isReady()) return;
+  orderQueueRefreshTimer = setTimeout(async () => {
+    orderQueueRefreshTimer = null;
+    await refreshOrderQueue();
+  }, 2000);
+}
+
+// ============================================================
+// SLA - Escalate unclaimed or slow orders
+// ============================================================
+
+const SLA_CHECK_INTERVAL = 60 * 1000;
+
+// type -> threshold in minutes and how a breach is described
+const SLA_RULES = {
+  unclaimed: {
+    minutes: Number(process.env.SLA_UNCLAIMED_MINUTES) || 15,
+    label: 'Unclaimed',
+    applies: (orderId) => !orderAssignments.has(orderId)
+  },
+  undelivered: {
+    minutes: Number(process.env.SLA_UNDELIVERED_MINUTES) || 120,
+    label: 'Undelivered',
+    // Disputed orders are deliberately on hold
+    applies: (orderId, order) => order.status !== 'DISPUTED'
+  }
+};
+
+function formatMinutes(minutes) {
+  return minutes >= 60 && minutes % 60 === 0 ? `${minutes / 60}h` : `${minutes}m`;
+}
+
+function recordSlaBreach(orderId, type) {
+  const breach = {
+    type,
+    thresholdMinutes: SLA_RULES[type].minutes,
+    breachedAt: new Date().toISOString(),
+    assignedTo: orderAssignments.get(orderId)?.staffId || null,
+    resolvedAt: null
+  };
+  slaBreaches.set(orderId, [...(slaBreaches.get(orderId) || []), breach]);
+  return breach;
+}
+
+/**
+ * Mark open breaches as resolved (all types when type is omitted)
+ */
+function resolveSlaBreaches(orderId, type = null) {
+  const breaches = slaBreaches.get(orderId);
+  if (!breaches?.some(b => !b.resolvedAt && (!type || b.type === type))) return;
+  
+  const resolvedAt = new Date().toISOString();
+  slaBreaches.set(orderId, breaches.map(b =>
+    !b.resolvedAt && (!type || b.type === type) ? { ...b, resolvedAt } : b
+  ));
+}
+
+/**
+ * Show the order's unresolved breaches on its #new-orders embed, or strip
+ * the overdue marking once none are left and fall back to `baseColor`.
+ */
+function applyOverdueState(embed, orderId, baseColor) {
+  const breaches = (slaBreaches.get(orderId) || []).filter(b => !b.resolvedAt);
+  const title = (embed.data.title || '🔔 NEW ORDER!').replace(/ ⏰ OVERDUE$/, '');
+  
+  if (breaches.length === 0) {
+    const index = (embed.data.fields || []).findIndex(f => f.name === '⏰ Overdue');
+    if (index !== -1) embed.spliceFields(index, 1);
+    return embed.setTitle(title).setColor(baseColor);
+  }
+  
+  return setEmbedField(embed, {
+    name: '⏰ Overdue',
+    value: breaches.map(b => `${SLA_RULES[b.type].label} > ${formatMinutes(b.thresholdMinutes)}`).join('\n'),
+    inline: false
+  })
+    .setTitle(`${title} ⏰ OVERDUE`)
+    .setColor(0xED4245);
+}
+
+async function escalateSlaBreach(guild, orderId, order, type) {
+  const rule = SLA_RULES[type];
+  const breach = recordSlaBreach(orderId, type);
+  const assignment = orderAssignments.get(orderId);
+  const threadId = orderThreads.get(orderId)?.threadId;
+  const overdueText = `${rule.label} for over ${formatMinutes(rule.minutes)}`;
+  console.log(`⏰ SLA breach for ${orderId}: ${overdueText}`);
+  
+  // Mark the #new-orders embed as overdue
+  await updateStaffNotification(guild, orderId, (embed) => ({
+    embeds: [applyOverdueState(embed, orderId, embed.data.color)]
+  }));
+  
+  // Escalate to managers
+  const managerRole = resolveSetting(guild, 'managerRole') || resolveSetting(guild, 'staffRole');
+  const managerPing = managerRole ? `<@&${managerRole.id}>` : undefined;
+  await postStaffNotice(guild, orderId, {
+    title: `⏰ SLA BREACH - ${rule.label}`,
+    description: `Order \`${orderId}\` has been ${overdueText.toLowerCase()}.`,
+    color: 0xED4245,
+    fields: [
+      { name: '🕐 Ordered', value: `<t:${Math.floor(Date.parse(order.createdAt) / 1000)}:R>`, inline: true },
+      { name: '🙋 Claimed By', value: assignment ? `<@${assignment.staffId}>` : 'Nobody', inline: true },
+      { name: '🧵 Order Thread', value: threadId ? `<#${threadId}>` : 'Pending (customer not in server)', inline: false }
+    ],
+    timestamp: breach.breachedAt
+  }, managerPing);
+  
+  // Remind whoever is (or should be) working the thread
+  if (threadId) {
+    const thread = await fetchThreadById(guild, threadId);
+    if (thread && !thread.locked) {
+      // The customer reads this thread too
+      const locale = getCustomerLocale(guild, { orderId });
+      await thread.send({
+        content: assignment ? `<@${assignment.staffId}>` : undefined,
+        embeds: [{
+          title: t(locale, 'slaReminder.title'),
+          description: assignment
+            ? t(locale, 'slaReminder.overdue', { duration: formatMinutes(rule.minutes) })
+            : t(locale, 'slaReminder.patience'),
+          color: 0xFFAA00,
+          timestamp: new Date().toISOString()
+        }]
+      }).catch(e => console.warn(`⚠️ Could not post SLA reminder:`, e.message));
+    }
+  }
+}
+
+async function checkSlaBreaches() {
+  let breached = false;
+  for (const [orderId, order] of openOrders) {
+    const guild = getOrderGuild(orderId);
+    if (!guild) continue;
+    
+    const ageMinutes = (Date.now() - Date.parse(order.createdAt)) / 60000;
+    const breaches = slaBreaches.get(orderId) || [];
+    
+    for (const [type, rule] of Object.entries(SLA_RULES)) {
+      if (ageMinutes < rule.minutes || !rule.applies(orderId, order)) continue;
+      // Escalate each type once per order
+      if (breaches.some(b => b.type === type)) continue;
+      try {
+        await escalateSlaBreach(guild, orderId, order, type);
+        breached = true;
+      } catch (e) {
+        console.warn(`⚠️ Could not escalate SLA breach for ${orderId}:`, e.message);
+      }
+    }
+  }
+  
+  if (breached) scheduleOrderQueueRefresh();
+}
+
+// ============================================================
+// CLAIM ORDER - Assign one staff member to an order
+// ============================================================
+
+/**
+ * Edit the #new-orders notification for an order in place.
+ * `update` receives an EmbedBuilder copy of the current embed and returns
+ * the message edit payload (embeds/components) to apply.
+ */
+async function updateStaffNotification(guild, orderId, update) {
+  const ref = staffNotifications.get(orderId);
+  if (!ref) return false;
+  
+  try {
+    const channel = await guild.channels.fetch(ref.channelId).catch(() => null);
+    const message = await channel?.messages.fetch(ref.messageId).catch(() => null);
+    if (!message) {
+      staffNotifications.delete(orderId);
+      return false;
+    }
+    
+    const embed = EmbedBuilder.from(message.embeds[0] || {});
+    await message.edit(await update(embed, message));
+    return true;
+  } catch (e) {
+    console.warn(`⚠️ Could not update staff notification for ${orderId}:`, e.message);
+    return false;
+  }
+}
+
+/**
+ * Replace (or append) a field on an EmbedBuilder by name
+ */
+function setEmbedField(embed, field) {
+  const fields = embed.data.fields || [];
+  const index = fields.findIndex(f => f.name === field.name);
+  if (index === -1) {
+    embed.addFields(field);
+  } else {
+    embed.spliceFields(index, 1, field);
+  }
+  return embed;
+}
+
+async function claimOrder(guild, orderId, staffUser) {
+  const notOpen = await whyOrderNotOpen(guild, orderId);
+  if (notOpen) {
+    return { claimed: false, error: notOpen };
+  }
+  
+  const existing = orderAssignments.get(orderId);
+  if (existing && existing.staffId !== staffUser.id) {
+    return { claimed: false, assignment: existing };
+  }
+  
+  const assignment = {
+    staffId: staffUser.id,
+    staffTag: staffUser.tag,
+    claimedAt: existing?.claimedAt || new Date().toISOString()
+  };
+  orderAssignments.set(orderId, assignment);
+  
+  // Record the assignee on the backend order
+  await backendFor(guild).patch(`/api/orders/${orderId}`, {
+    assignedTo: String(staffUser.id)
+  }).catch(e => console.warn(`⚠️ Could not save assignee to backend:`, e.message));
+  
+  // Claiming settles the unclaimed breach - the embed stays red only if another one is open
+  resolveSlaBreaches(orderId, 'unclaimed');
+  
+  // Show the claimer on the #new-orders embed and disable the button
+  await updateStaffNotification(guild, orderId, (embed) => ({
+    embeds: [
+      applyOverdueState(setEmbedField(embed, { name: '🙋 Claimed By', value: `<@${staffUser.id}>`, inline: true }), orderId, 0x5865F2)
+    ],
+    components: [buildOrderActionRow(orderId, { claimedBy: staffUser.tag })]
+  }));
+  
+  // Join the thread and let the customer know who is handling the order
+  const thread = await findOrderThread(guild, orderId);
+  if (thread) {
+    await refreshThreadActionRow(thread, orderId);
+    if (thread.archived) {
+      await thread.setArchived(false).catch(() => {});
+    }
+    await thread.members.add(staffUser.id).catch(e => console.warn(`⚠️ Could not add claimer to thread:`, e.message));
+    if (!existing) {
+      const locale = getCustomerLocale(guild, { orderId });
+      await thread.send({
+        embeds: [{
+          title: t(locale, 'staffAssigned.title'),
+          description: t(locale, 'staffAssigned.description', { staff: `<@${staffUser.id}>` }),
+          color: 0x5865F2,
+          timestamp: new Date().toISOString()
+        }]
+      });
+    }
+  }
+  
+  scheduleOrderQueueRefresh();
+  
+  console.log(`🙋 Order ${orderId} claimed by ${staffUser.tag}`);
+  return { claimed: true, assignment, thread };
+}
+
+async function handleClaimOrder(interaction, orderId) {
+  await interaction.deferReply({ ephemeral: true });
+  
+  try {
+    const result = await claimOrder(interaction.guild, orderId, interaction.user);
+    
+    if (result.error) {
+      recordAudit(interaction.guild, interaction.user, 'claim', { orderId, outcome: 'error', error: result.error });
+      return await interaction.editReply({ content: `❌ ${result.error}` });
+    }
+    if (!result.claimed) {
+      recordAudit(interaction.guild, interaction.user, 'claim', { orderId, outcome: 'error', error: `Already claimed by ${result.assignment.staffTag}` });
+      return await interaction.editReply({
+        content: `❌ Order **${orderId}** is already claimed by <@${result.assignment.staffId}>.`
+      });
+    }
+    
+    // The claim has happened - a reply that can't be delivered doesn't make it an error
+    recordAudit(interaction.guild, interaction.user, 'claim', { orderId });
+    await interaction.editReply({
+      embeds: [{
+        title: '🙋 Order Claimed',
+        description: `You are now handling order **${orderId}**.`,
+        color: 0x5865F2,
+        fields: [
+          { name: '🧵 Order Thread', value: result.thread ? `<#${result.thread.id}>` : 'Pending (customer not in server)', inline: false }
+        ]
+      }]
+    }).catch(e => console.warn('⚠️ Could not confirm claim:', e.message));
+  } catch (error) {
+    console.error('❌ Claim order error:', error.message);
+    recordAudit(interaction.guild, interaction.user, 'claim', { orderId, outcome: 'error', error: error.message });
+    await interaction.editReply({ content: `❌ Failed to claim order: ${error.message}` });
+  }
+}
+
+// ============================================================
+// CANCEL / REFUND ORDER - Close without delivery
+// ============================================================
+
+// Terminal statuses other than DELIVERED, with how each is shown and stored
+const ORDER_CLOSURES = {
+  CANCELLED: {
+    // Customer-facing text is orderClosed.<catalogPrefix>Title / Description
+    catalogPrefix: 'cancelled',
+    logTitle: '🚫 Order Cancelled',
+    color: 0xED4245,
+    backendFields: (reason, closedBy) => ({ cancelledAt: new Date().toISOString(), cancelledBy: closedBy, cancelReason: reason })
+  },
+  REFUNDED: {
+    catalogPrefix: 'refunded',
+    logTitle: '💸 Order Refunded',
+    color: 0x9B59B6,
+    backendFields: (reason, closedBy) => ({ refundedAt: new Date().toISOString(), refundedBy: closedBy, refundReason: reason })
+  }
+};
+
+/**
+ * Find the customer for an order: thread record, pending order, then thread members
+ */
+async function findOrderCustomer(guild, orderId, thread) {
+  const userId = orderThreads.get(orderId)?.userId || activeOrders.get(orderId)?.user_id;
+  if (userId) {
+    return await guild.members.fetch(userId).catch(() => null);
+  }
+  
+  if (thread) {
+    const threadMembers = await thread.members.fetch().catch(() => new Map());
+    for (const [memberId] of threadMembers) {
+      if (memberId === guild.client.user.id) continue; // Skip bot
+      const guildMember = await guild.members.fetch(memberId).catch(() => null);
+      if (!guildMember) continue;
+      if (memberHasRole(guildMember, 'staffRole')) continue; // Skip staff
+      return guildMember;
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * closedBy is a Discord user ID, or null when the website closed the order
+ */
+async function closeOrder(guild, orderId, status, reason, closedBy) {
+  // Only what the bot itself knows - the website updates the backend before telling us
+  const notOpen = await whyOrderNotOpen(guild, orderId, { localOnly: true });
+  if (notOpen) {
+    return { closed: false, error: notOpen };
+  }
+  
+  const closure = ORDER_CLOSURES[status];
+  console.log(`🔒 Closing order ${orderId} as ${status}...`);
+  
+  const threadRecord = orderThreads.get(orderId);
+  if (threadRecord) {
+    orderThreads.set(orderId, { ...threadRecord, closedAs: status });
+  }
+  
+  // Stop keep-alive and forget any pending thread creation
+  stopKeepAlive(orderId);
+  activeOrders.delete(orderId);
+  await revokeServerLink(guild, orderId, status.toLowerCase());
+  
+  const thread = await findOrderThread(guild, orderId);
+  const customer = await findOrderCustomer(guild, orderId, thread);
+  
+  const locale = getCustomerLocale(guild, { orderId, userId: customer?.id });
+  const customerEmbed = {
+    title: t(locale, `orderClosed.${closure.catalogPrefix}Title`),
+    description: t(locale, `orderClosed.${closure.catalogPrefix}Description`),
+    color: closure.color,
+    fields: [
+      { name: t(locale, 'orderClosed.orderId'), value: `\`${orderId}\``, inline: true },
+      { name: t(locale, 'orderClosed.date'), value: formatDateTime(new Date(), locale), inline: true },
+      { name: t(locale, 'orderClosed.reason'), value: truncateText(reason, EMBED_LIMITS.fieldValue), inline: false },
+      { name: t(locale, 'orderClosed.questions'), value: t(locale, 'orderClosed.questionsValue'), inline: false }
+    ],
+    footer: { text: t(locale, 'orderClosed.footer') },
+    timestamp: new Date().toISOString()
+  };
+  
+  if (thread) {
+    try {
+      if (thread.archived) {
+        await thread.setArchived(false);
+      }
+      await thread.send({ embeds: [customerEmbed] });
+    } catch (e) {
+      console.warn(`⚠️ Could not post ${status} notice to thread:`, e.message);
+    }
+  }
+  
+  if (customer) {
+    try {
+      await customer.user.send({ embeds: [customerEmbed] });
+      console.log(`✅ Sent ${status} DM to ${customer.user.tag}`);
+    } catch (dmErr) {
+      console.warn(`⚠️ Could not DM customer:`, dmErr.message);
+      incrementMetric('bloxbeam_dm_failures_total', { recipient: 'customer', message: status.toLowerCase() });
+    }
+  }
+  
+  // Log to order-saved channel
+  try {
+    const orderSavedChannel = await getOrderSavedChannel(guild);
+    await orderSavedChannel.send({
+      embeds: [{
+        title: closure.logTitle,
+        color: closure.color,
+        fields: [
+          { name: '📦 Order ID', value: `\`${orderId}\``, inline: true },
+          { name: '👨‍💼 Closed By', value: closedBy ? `<@${closedBy}>` : '🌐 Website', inline: true },
+          { name: '👤 Customer', value: customer ? `<@${customer.id}>` : 'Unknown', inline: true },
+          { name: '📝 Reason', value: truncateText(reason, EMBED_LIMITS.fieldValue), inline: false },
+          { name: '🔗 Thread', value: thread ? `[View thread](https://discord.com/channels/${guild.id}/${thread.id})` : 'No thread', inline: false }
+        ],
+        timestamp: new Date().toISOString(),
+        footer: { text: `BloxBeam Order Log • ${status}` }
+      }]
+    });
+    console.log(`📋 Logged ${status} order ${orderId} to order-saved`);
+  } catch (e) {
+    console.warn(`⚠️ Could not log ${status} order:`, e.message);
+  }
+  
+  if (thread) {
+    await updateOrderDetailsEmbed(thread, orderId, { status });
+  }
+  await closeOrderActionRows(guild, orderId, thread, { status, color: closure.color });
+  
+  // Lock now so nobody keeps working on it, archive shortly after
+  if (thread) {
+    await thread.setLocked(true).catch(e => console.warn(`⚠️ Could not lock thread:`, e.message));
+    setTimeout(() => {
+      thread.setArchived(true).catch(e => console.warn(`⚠️ Could not archive thread:`, e.message));
+    }, 10000);
+  }
+  
+  untrackOpenOrder(orderId);
+  
+  return { closed: true, thread, customer };
+}
+
+async function handleCloseOrder(interaction, orderId, status, reason) {
+  await interaction.deferReply({ ephemeral: true });
+  const auditAction = status === 'CANCELLED' ? 'cancel' : 'refund';
+  
+  try {
+    const closure = ORDER_CLOSURES[status];
+    const guild = interaction.guild;
+    
+    // Checked before the backend is touched - a delivered order must not become a refund
+    const notOpen = await whyOrderNotOpen(guild, orderId);
+    if (notOpen) {
+      recordAudit(guild, interaction.user, auditAction, { orderId, outcome: 'error', details: { Reason: reason }, error: notOpen });
+      return await interaction.editReply({ content: `❌ ${notOpen}` });
+    }
+    
+    await backendFor(guild).patch(
+      `/api/orders/${orderId}`,
+      {
+        status,
+        ...closure.backendFields(reason, String(interaction.user.id))
+      }
+    );
+    console.log(`✅ Order ${orderId} marked as ${status}`);
+    
+    const { closed, error, thread, customer } = await closeOrder(guild, orderId, status, reason, interaction.user.id);
+    if (!closed) throw new Error(error);
+    recordAudit(guild, interaction.user, auditAction, { orderId, details: { Reason: reason } });
+    
+    await interaction.editReply({
+      embeds: [{
+        title: closure.logTitle,
+        description: `Order **${orderId}** is now **${status}**.`,
+        color: closure.color,
+        fields: [
+          { name: 'Reason', value: truncateText(reason, EMBED_LIMITS.fieldValue), inline: false },
+          { name: 'Thread', value: thread ? `<#${thread.id}> (locked)` : 'Not found', inline: true },
+          { name: 'Customer DM', value: customer ? 'Sent' : 'Customer not found', inline: true }
+        ],
+        footer: { text: `Closed by ${interaction.user.tag}` }
+      }]
+    }).catch(e => console.warn(`⚠️ Could not confirm ${auditAction}:`, e.message));
+  } catch (error) {
+    const errorMsg = error.response?.data?.message || error.response?.data?.error || error.message || 'Unknown error';
+    console.error(`❌ ${status} order error:`, errorMsg, error.response?.data);
+    recordAudit(interaction.guild, interaction.user, auditAction, { orderId, outcome: 'error', details: { Reason: reason }, error: errorMsg });
+    await interaction.editReply({ content: `❌ Failed to update order: ${errorMsg}` });
+  }
+}
+
+// ============================================================
+// HANDLE SLASH COMMANDS
+// ============================================================
+
+client.on('interactionCreate', async (interaction) => {
+  // Discord only tells us a user's language when they interact - remember it for later DMs
+  const interactionLocale = normalizeLocale(interaction.locale);
+  if (interactionLocale && customerLocales.get(interaction.user.id) !== interactionLocale) {
+    customerLocales.set(interaction.user.id, interactionLocale);
+  }
+  
+  // Customer buttons - each handler checks the order belongs to the clicker
+  if (interaction.isButton() && interaction.customId.startsWith('my_orders_page_')) {
+    await handleMyOrdersPage(interaction, interaction.customId.replace('my_orders_page_', ''));
+    return;
+  }
+  if (interaction.isButton() && interaction.customId.startsWith('reopen_thread_')) {
+    await handleReopenThread(interaction, interaction.customId.replace('reopen_thread_', ''));
+    return;
+  }
+  if (interaction.isButton() && interaction.customId.startsWith('reveal_server_link_')) {
+    await handleRevealServerLink(interaction, interaction.customId.replace('reveal_server_link_', ''));
+    return;
+  }
+  if (interaction.isButton() && interaction.customId.startsWith('review_public_')) {
+    await handleReviewConsent(interaction, interaction.customId.replace('review_public_', ''));
+    return;
+  }
+  if (interaction.isButton() && interaction.customId.startsWith('review_')) {
+    const [, rating, ...rest] = interaction.customId.split('_');
+    await handleReviewButton(interaction, rest.join('_'), Number(rating));
+    return;
+  }
+  if (interaction.isModalSubmit() && interaction.customId.startsWith('review_modal_')) {
+    const [, , rating, ...rest] = interaction.customId.split('_');
+    await handleReviewSubmit(interaction, rest.join('_'), Number(rating));
+    return;
+  }
+  
+  // Admin modal - checks Manage Server itself
+  if (interaction.isModalSubmit() && interaction.customId.startsWith('template_modal_')) {
+    await handleTemplateSubmit(interaction, interaction.customId.replace('template_modal_', ''));
+    return;
+  }
+  
+  // Handle button clicks (all staff-only)
+  if (interaction.isButton()) {
+    const prefix = Object.keys(STAFF_BUTTONS).find(p => interaction.customId.startsWith(p));
+    if (!prefix) return;
+    
+    // Check if user has staff role for button clicks too
+    const hasStaffRole = memberHasRole(interaction.member, 'staffRole');
+    if (!hasStaffRole) {
+      await interaction.reply({ content: `❌ Only staff members can ${STAFF_BUTTONS[prefix]}.`, ephemeral: true }).catch(() => {});
+      return;
+    }
+    
+    if (prefix === 'orders_page_') {
+      await handleOrdersPage(interaction, interaction.customId.slice(prefix.length));
+      return;
+    }
+    if (prefix === 'confirm_server_link_') {
+      await handleConfirmServerLink(interaction, interaction.customId.slice(prefix.length));
+      return;
+    }
+    
+    const orderId = interaction.customId.slice(prefix.length);
+    if (await rejectOtherGuildOrder(interaction, orderId)) return;
+    if (prefix === 'complete_order_') {
+      await handleCompleteOrder(interaction, orderId);
+    } else if (prefix === 'claim_order_') {
+      await handleClaimOrder(interaction, orderId);
+    } else if (prefix === 'server_link_') {
+      await interaction.showModal(buildServerLinkModal(orderId)).catch(e => console.warn('⚠️ Could not show modal:', e.message));
+    } else if (prefix === 'message_customer_') {
+      await interaction.showModal(buildMessageCustomerModal(orderId)).catch(e => console.warn('⚠️ Could not show modal:', e.message));
     }
-    if (customerRole) {
-      console.log(`✅ Customer role: ${customerRole.name} (${customerRole.id})`);
-    } else {
-      console.warn('⚠️ DISCORD_CUSTOMER_ROLE_ID not set or role not found — auto-assign disabled');
+    return;
+  }
+  
+  // Handle modal submissions from the action buttons
+  if (interaction.isModalSubmit()) {
+    const hasStaffRole = memberHasRole(interaction.member, 'staffRole');
+    if (!hasStaffRole) {
+      await interaction.reply({ content: '❌ Only staff members can do this.', ephemeral: true }).catch(() => {});
+      return;
     }
     
-    // =================================================
-    // CLAIM-HERE CHANNEL (use existing channel from env)
-    // =================================================
-    let claimHereChannel = CLAIM_HERE_CHANNEL_ID 
-      ? guild.channels.cache.get(CLAIM_HERE_CHANNEL_ID) 
-      : guild.channels.cache.find(ch => ch.name.includes('claim-here') && ch.type === ChannelType.GuildText);
+    const orderId = interaction.customId.replace(/^(server_link_modal_|message_customer_modal_)/, '');
+    if (await rejectOtherGuildOrder(interaction, orderId)) return;
     
-    if (claimHereChannel) {
-      // Ensure bot has correct permissions on the existing channel
-      await claimHereChannel.permissionOverwrites.edit(botUserId, {
-        ViewChannel: true,
-        SendMessages: true,
-        ManageChannels: true,
-        ManageThreads: true,
-        CreatePrivateThreads: true,
-        ReadMessageHistory: true,
-        ManageMessages: true
-      }).catch(e => console.warn('⚠️ Could not update bot permissions on claim-here:', e.message));
-      if (staffRole) {
-        await claimHereChannel.permissionOverwrites.edit(staffRole.id, {
-          ViewChannel: true,
-          ReadMessageHistory: true,
-          SendMessages: true,
-          SendMessagesInThreads: true,
-          ManageThreads: true
-        }).catch(e => console.warn('⚠️ Could not update staff permissions on claim-here:', e.message));
-      }
-      console.log(`✅ Using existing claim-here channel: #${claimHereChannel.name} (${claimHereChannel.id})`);
-      
-      // Send welcome embed if channel has no bot messages yet
-      try {
-        const messages = await claimHereChannel.messages.fetch({ limit: 10 });
-        const hasBotEmbed = messages.some(m => m.author.id === botUserId && m.embeds.length > 0);
-        if (!hasBotEmbed) {
-          await claimHereChannel.send({
-            embeds: [{
-              title: '🎮 Welcome to BloxBeam Orders!',
-              description: 'Thank you for your purchase! Here\'s how to claim your items:',
-              color: 0x3DFF88,
-              fields: [
-                { name: '📩 Step 1: Check Your DMs', value: 'Our bot sent you a private message with your order details and a link to your private thread.', inline: false },
-                { name: '🧵 Step 2: Open Your Thread', value: 'Click the thread link in your DM to access your private order thread where staff will assist you.', inline: false },
-                { name: '🎁 Step 3: Receive Delivery', value: 'A staff member will join your thread and provide a private server link for delivery.', inline: false },
-                { name: '❓ Need Help?', value: 'If you didn\'t receive a DM, make sure your DMs are open and contact a staff member!', inline: false }
-              ],
-              footer: { text: 'Your order thread is private - only you and staff can see it!' },
-              timestamp: new Date().toISOString()
-            }]
-          });
-          console.log('✅ Sent welcome embed to claim-here channel');
-        }
-      } catch (e) {
-        console.warn('⚠️ Could not send welcome embed:', e.message);
-      }
-    } else {
-      console.error('❌ claim-here channel not found! Set DISCORD_CLAIM_HERE_CHANNEL_ID in .env');
+    if (interaction.customId.startsWith('server_link_modal_')) {
+      await handleSendServerLink(interaction, orderId, interaction.fields.getTextInputValue('link'));
+    } else if (interaction.customId.startsWith('message_customer_modal_')) {
+      await handleNotifyCustomer(interaction, orderId, interaction.fields.getTextInputValue('message'));
+    }
+    return;
+  }
+  
+  if (!interaction.isChatInputCommand()) return;
+  
+  const { commandName } = interaction;
+  
+  // Staff-only commands - check for Staff role
+  const staffCommands = ['complete', 'order-status', 'notify-customer', 'send-server-link', 'claim', 'cancel', 'refund', 'orders', 'stats', 'audit'];
+  if (staffCommands.includes(commandName)) {
+    const hasStaffRole = memberHasRole(interaction.member, 'staffRole');
+    if (!hasStaffRole) {
+      await interaction.reply({ 
+        content: '❌ This command is only available to staff members.', 
+        ephemeral: true 
+      }).catch(() => {});
+      return;
     }
     
-    // =================================================
-    // DASHBOARD CATEGORY (staff analytics)
-    // =================================================
-    let dashboardCategory = guild.channels.cache.find(
-      ch => ch.name === 'Dashboard' && ch.type === ChannelType.GuildCategory
-    );
+    const commandOrderId = interaction.options.getString('order_id');
+    if (commandOrderId && await rejectOtherGuildOrder(interaction, commandOrderId)) return;
+  }
+  
+  // Admin commands - Manage Server permission
+  const adminCommands = ['setup', 'template'];
+  if (adminCommands.includes(commandName) && !interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild)) {
+    await interaction.reply({
+      content: '❌ This command is only available to server admins.',
+      ephemeral: true
+    }).catch(() => {});
+    return;
+  }
+  
+  // Customer commands - need the customer role (staff may use them too)
+  const customerCommands = ['my-orders', 'link-roblox'];
+  if (customerCommands.includes(commandName) && getSettingId(interaction.guild, 'customerRole').id) {
+    const member = interaction.member;
+    const hasCustomerRole = memberHasRole(member, 'customerRole') || memberHasRole(member, 'staffRole');
+    if (!hasCustomerRole) {
+      await interaction.reply({
+        content: '❌ This command is only available to BloxBeam customers.',
+        ephemeral: true
+      }).catch(() => {});
+      return;
+    }
+  }
+  
+  try {
+    if (commandName === 'complete') {
+      const orderId = interaction.options.getString('order_id');
+      await handleCompleteOrder(interaction, orderId);
+    } else if (commandName === 'order-status') {
+      await handleStatusCommand(interaction);
+    } else if (commandName === 'notify-customer') {
+      const orderId = interaction.options.getString('order_id');
+      await handleNotifyCustomer(interaction, orderId, interaction.options.getString('message'));
+    } else if (commandName === 'send-server-link') {
+      const orderId = interaction.options.getString('order_id');
+      await handleSendServerLink(interaction, orderId, interaction.options.getString('link'));
+    } else if (commandName === 'claim') {
+      const orderId = interaction.options.getString('order_id');
+      await handleClaimOrder(interaction, orderId);
+    } else if (commandName === 'orders') {
+      await handleOrdersCommand(interaction);
+    } else if (commandName === 'my-orders') {
+      await handleMyOrdersCommand(interaction);
+    } else if (commandName === 'link-roblox') {
+      await handleLinkRobloxCommand(interaction);
+    } else if (commandName === 'setup') {
+      await handleSetupCommand(interaction);
+    } else if (commandName === 'template') {
+      await handleTemplateCommand(interaction);
+    } else if (commandName === 'stats') {
+      await handleStatsCommand(interaction);
+    } else if (commandName === 'audit') {
+      await handleAuditCommand(interaction);
+    } else if (commandName === 'cancel' || commandName === 'refund') {
+      const orderId = interaction.options.getString('order_id');
+      const status = commandName === 'cancel' ? 'CANCELLED' : 'REFUNDED';
+      await handleCloseOrder(interaction, orderId, status, interaction.options.getString('reason'));
+    }
+  } catch (error) {
+    console.error('❌ Command error:', error);
+    await interaction.reply({ content: '❌ An error occurred', ephemeral: true }).catch(() => {});
+  }
+});
+
+/**
+ * Staff in one server must not act on another server's orders
+ */
+async function rejectOtherGuildOrder(interaction, orderId) {
+  const orderGuildId = getOrderGuildId(orderId, null);
+  if (!orderGuildId || orderGuildId === interaction.guildId) return false;
+  await interaction.reply({ content: `❌ Order **${orderId}** belongs to another server.`, ephemeral: true }).catch(() => {});
+  return true;
+}
+
+async function handleCompleteOrder(interaction, orderId) {
+  await interaction.deferReply({ ephemeral: true });
+  
+  try {
+    console.log(`⏳ Completing order ${orderId}...`);
+    const guild = interaction.guild;
     
-    if (!dashboardCategory) {
-      dashboardCategory = await guild.channels.create({
-        name: 'Dashboard',
-        type: ChannelType.GuildCategory,
-        permissionOverwrites: [
-          { id: SERVER_ID, deny: [PermissionFlagsBits.ViewChannel] },
-          staffRole ? { id: staffRole.id, allow: [PermissionFlagsBits.ViewChannel, PermissionFlagsBits.ReadMessageHistory] } : null,
-          customerRole ? { id: customerRole.id, deny: [PermissionFlagsBits.ViewChannel] } : null
-        ].filter(Boolean)
-      });
-      console.log('✅ Created Dashboard category');
+    // Checked before the backend is touched - a refunded order must not become delivered
+    const notOpen = await whyOrderNotOpen(guild, orderId);
+    if (notOpen) {
+      recordAudit(guild, interaction.user, 'complete', { orderId, outcome: 'error', error: notOpen });
+      return await interaction.editReply({ content: `❌ ${notOpen}` });
     }
     
-    // =================================================
-    // ORDER-SAVED CHANNEL (logs completed orders)
-    // =================================================
-    let orderSavedChannel = guild.channels.cache.find(
-      ch => ch.name === 'order-saved' && ch.type === ChannelType.GuildText
+    // Update backend
+    const updateResponse = await backendFor(guild).patch(
+      `/api/orders/${orderId}`,
+      {
+        status: 'DELIVERED',
+        deliveryStep: 'COMPLETE',
+        completedAt: new Date().toISOString(),
+        completedBy: String(interaction.user.id)
+      }
     );
     
-    if (!orderSavedChannel) {
-      orderSavedChannel = await guild.channels.create({
-        name: 'order-saved',
-        type: ChannelType.GuildText,
-        parent: dashboardCategory.id,
-        topic: '📋 Completed order logs - All delivered orders are saved here',
-        permissionOverwrites: [
-          { id: SERVER_ID, deny: [PermissionFlagsBits.ViewChannel] },
-          staffRole ? { id: staffRole.id, allow: [PermissionFlagsBits.ViewChannel, PermissionFlagsBits.ReadMessageHistory], deny: [PermissionFlagsBits.SendMessages] } : null,
-          customerRole ? { id: customerRole.id, deny: [PermissionFlagsBits.ViewChannel] } : null,
-          { id: botUserId, allow: [PermissionFlagsBits.ViewChannel, PermissionFlagsBits.SendMessages] }
-        ].filter(Boolean)
-      });
-      console.log('✅ Created order-saved channel');
-    }
+    const order = updateResponse.data;
+    console.log(`✅ Order ${orderId} marked as complete`);
     
-    // =================================================
-    // new-orders CHANNEL (pings staff for new orders)
-    // =================================================
-    let staffNotifyChannel = guild.channels.cache.find(
-      ch => ch.name === 'new-orders' && ch.type === ChannelType.GuildText
-    );
+    // Unlock delivery page
+    await backendFor(guild).post(`/api/orders/${orderId}/delivery-state`, {
+      action: 'DELIVERY_COMPLETED',
+      step: 'COMPLETED'
+    }).catch(() => {});
     
-    if (!staffNotifyChannel) {
-      staffNotifyChannel = await guild.channels.create({
-        name: 'new-orders',
-        type: ChannelType.GuildText,
-        parent: dashboardCategory.id,
-        topic: '🔔 New order notifications - Staff get pinged here for new orders',
-        permissionOverwrites: [
-          { id: SERVER_ID, deny: [PermissionFlagsBits.ViewChannel] },
-          staffRole ? { id: staffRole.id, allow: [PermissionFlagsBits.ViewChannel, PermissionFlagsBits.ReadMessageHistory] } : null,
-          customerRole ? { id: customerRole.id, deny: [PermissionFlagsBits.ViewChannel] } : null,
-          { id: botUserId, allow: [PermissionFlagsBits.ViewChannel, PermissionFlagsBits.SendMessages] }
-        ].filter(Boolean)
-      });
-      console.log('✅ Created new-orders channel');
-    }
+    // DELETE all threads for this order (this also sends the delivery DM to customer)
+    const deletedCount = await completeOrder(guild, orderId, interaction.user.id);
+    recordAudit(guild, interaction.user, 'complete', { orderId });
     
-    console.log('🎉 SETUP COMPLETE!');
-    console.log('📊 STAFF: Added directly to customer threads in #claim-here');
-    console.log('👤 CUSTOMER: Private threads in #claim-here channel');
+    // Reply to staff
+    await interaction.editReply({
+      embeds: [{
+        title: '✅ Order Completed',
+        description: `Order **${orderId}** has been delivered.\n\n**${deletedCount}** thread(s) will be deleted.`,
+        color: 0x00FF00,
+        footer: { text: `Completed by ${interaction.user.tag}` }
+      }]
+    }).catch(e => console.warn('⚠️ Could not confirm completion:', e.message));
     
-    // =================================================
-    // CLEANUP: Delete empty threads (no order embeds)
-    // =================================================
-    try {
-      const claimHereChannel = CLAIM_HERE_CHANNEL_ID
-        ? guild.channels.cache.get(CLAIM_HERE_CHANNEL_ID)
-        : guild.channels.cache.find(ch => ch.name.includes('claim-here') && ch.type === ChannelType.GuildText);
-      
-      if (claimHereChannel) {
-        console.log('🧹 Scanning for empty threads to clean up...');
-        const activeThreads = await claimHereChannel.threads.fetchActive().catch(() => ({ threads: new Map() }));
-        const archivedThreads = await claimHereChannel.threads.fetchArchived().catch(() => ({ threads: new Map() }));
-        
-        const allThreads = [...activeThreads.threads.values(), ...archivedThreads.threads.values()];
-        let deletedCount = 0;
-        
-        for (const thread of allThreads) {
-          try {
-            // Fetch messages to check if thread has order embeds
-            const messages = await thread.messages.fetch({ limit: 10 });
-            const hasOrderEmbed = messages.some(m => 
-              m.embeds?.length > 0 && 
-              (m.embeds[0]?.title?.includes('Order Details') || 
-               m.embeds[0]?.title?.includes('How Delivery Works'))
-            );
-            
-            if (!hasOrderEmbed) {
-              console.log(`🗑️ Deleting empty thread: ${thread.name}`);
-              await thread.delete().catch(() => {});
-              deletedCount++;
-            }
-          } catch (e) {
-            // Skip threads we can't access
-          }
-        }
-        
-        if (deletedCount > 0) {
-          console.log(`✅ Cleaned up ${deletedCount} empty thread(s)`);
-        } else {
-          console.log('✅ No empty threads found');
-        }
-      }
-    } catch (cleanupErr) {
-      console.warn('⚠️ Thread cleanup error:', cleanupErr.message);
-    }
+  } catch (error) {
+    const errorMsg = error.response?.data?.message || error.response?.data?.error || error.message || 'Unknown error';
+    console.error('❌ Complete order error:', errorMsg, error.response?.data);
+    recordAudit(interaction.guild, interaction.user, 'complete', { orderId, outcome: 'error', error: errorMsg });
+    await interaction.editReply({
+      content: `❌ Failed to complete order: ${errorMsg}`
+    });
+  }
+}
+
+async function handleStatusCommand(interaction) {
+  const orderId = interaction.options.getString('order_id');
+  await interaction.deferReply({ ephemeral: true });
+  
+  try {
+    const response = await backendFor(interaction.guild).get(`/api/orders/${orderId}`);
+    const order = response.data;
+    rememberOrderThread(orderId, order.discordThreadId, { guildId: interaction.guild.id, userId: order.discordId });
+    
+    const embed = new EmbedBuilder()
+      .setColor(order.status === 'DELIVERED' ? 0x00FF00 : 0xFFAA00)
+      .setTitle(`Order Status: ${orderId}`)
+      .addFields(
+        { name: 'Status', value: order.status || 'PENDING', inline: true },
+        { name: 'Roblox', value: order.robloxUsername || 'Not set', inline: true },
+        { name: 'Discord', value: order.discordId ? 'Linked' : 'Not linked', inline: true }
+      )
+      .setTimestamp();
     
+    await interaction.editReply({ embeds: [embed] });
   } catch (error) {
-    console.error('❌ Setup error:', error);
+    await interaction.editReply({ content: `❌ Order not found: ${orderId}` });
   }
-});
+}
+
+// ============================================================
+// SETUP - /setup admin configuration
+// ============================================================
+
+const SETTING_SOURCES = {
+  setup: 'set with /setup',
+  config: 'from guilds file',
+  env: 'from .env'
+};
+
+function formatSettingValue(guild, key) {
+  const setting = SETTINGS[key];
+  const { id, source } = getSettingId(guild, key);
+  const target = resolveSetting(guild, key);
+  
+  if (id && !target) return `⚠️ \`${id}\` not found in this server (${SETTING_SOURCES[source]})`;
+  if (!target) return '❌ Not set';
+  
+  const mention = setting.type === 'role' ? `<@&${target.id}>` : `<#${target.id}>`;
+  return `${mention} (${source ? SETTING_SOURCES[source] : 'found by name'})`;
+}
 
-// ============================================================
-// NEW MEMBER JOINS - Create threads for pending orders + send DM with links
-// ============================================================
+function buildSetupEmbed(guild) {
+  const broken = findBrokenSettings(guild);
+  return {
+    title: '⚙️ Bot Setup',
+    description: broken.length > 0
+      ? `⚠️ ${broken.length} setting(s) point at a role or channel that no longer exists.`
+      : 'Change a setting with `/setup role` or `/setup channel`, or go back to the default with `/setup reset`.',
+    color: broken.length > 0 ? 0xFFAA00 : 0x5865F2,
+    fields: Object.keys(SETTINGS).map(key => ({
+      name: SETTINGS[key].label,
+      value: formatSettingValue(guild, key),
+      inline: true
+    })),
+    timestamp: new Date().toISOString()
+  };
+}
 
-client.on('guildMemberAdd', async (member) => {
+async function handleSetupCommand(interaction) {
+  await interaction.deferReply({ ephemeral: true });
+  
   try {
-    console.log(`👋 New member: ${member.user.tag} (ID: ${member.id})`);
-    
-    const guild = member.guild;
-    const customerRole = CUSTOMER_ROLE_ID ? guild.roles.cache.get(CUSTOMER_ROLE_ID) : null;
+    const guild = interaction.guild;
+    if (!guild) {
+      return await interaction.editReply({ content: '❌ /setup can only be used inside the server.' });
+    }
     
-    // Assign Customer/Client role
-    if (customerRole) {
-      await member.roles.add(customerRole);
+    const subcommand = interaction.options.getSubcommand();
+    if (subcommand === 'view') {
+      return await interaction.editReply({ embeds: [buildSetupEmbed(guild)] });
     }
-    console.log(`✅ Customer role assigned to ${member.user.tag}`);
     
-    // Check if this user has any pending orders that need threads created
-    // (handles edge case: webhook fired while user wasn't in server yet)
-    try {
-      const cachedOrders = [...activeOrders.entries()].filter(([, data]) => data.user_id === member.id);
-      if (cachedOrders.length > 0) {
-        console.log(`📦 Found ${cachedOrders.length} pending order(s) for new member ${member.user.tag}`);
-        for (const [orderId, orderData] of cachedOrders) {
-          try {
-            // Fetch full order details from backend
-            const orderResponse = await axios.get(`${BACKEND_URL}/api/orders/${orderId}`, {
-              headers: { 'X-Webhook-Secret': WEBHOOK_SECRET }
-            }).catch(() => null);
-            
-            const order = orderResponse?.data || {
-              orderId,
-              email: orderData.email,
-              productSummary: orderData.product,
-              robloxUsername: orderData.roblox_username,
-              status: 'PROCESSING',
-              createdAt: new Date()
-            };
-            
-            // Only create thread if order isn't already delivered
-            if (order.status !== 'DELIVERED' && order.status !== 'CANCELLED') {
-              const customerThread = await createCustomerOrderThread(guild, member, { ...order, orderId });
-              if (customerThread) {
-                console.log(`✅ Created pending order thread for ${member.user.tag}: ${orderId}`);
-                // DM customer with thread link
-                try {
-                  const threadUrl = `https://discord.com/channels/${guild.id}/${customerThread.id}`;
-                  await member.user.send({
-                    embeds: [{
-                      title: '🎉 Order Thread Ready!',
-                      description: `Welcome to the server! Your order thread is ready.\n\n🧵 **[Click here to open your thread](${threadUrl})**`,
-                      color: 0x3DFF88,
-                      fields: [
-                        { name: '📋 Order ID', value: `\`${orderId}\``, inline: true }
-                      ],
-                      footer: { text: 'BloxBeam • Your items will be delivered soon! 💚' },
-                      timestamp: new Date().toISOString()
-                    }]
-                  });
-                } catch (dmErr) {
-                  console.warn(`⚠️ Could not DM new member:`, dmErr.message);
-                }
-              }
-            }
-            // Remove from cache after processing
-            activeOrders.delete(orderId);
-          } catch (orderErr) {
-            console.warn(`⚠️ Error creating thread for pending order ${orderId}:`, orderErr.message);
-          }
-        }
+    const key = interaction.options.getString('setting');
+    const setting = SETTINGS[key];
+    const current = guildSettings.get(guild.id) || {};
+    
+    if (subcommand === 'reset') {
+      const { [key]: removed, ...rest } = current;
+      guildSettings.set(guild.id, rest);
+      console.log(`⚙️ ${interaction.user.tag} reset ${key}${removed ? ` (was ${removed})` : ''}`);
+    } else {
+      const target = subcommand === 'role' ? interaction.options.getRole('role') : interaction.options.getChannel('channel');
+      if (setting.type !== subcommand) {
+        return await interaction.editReply({ content: `❌ ${setting.label} is a ${setting.type} - use \`/setup ${setting.type}\`.` });
+      }
+      
+      const problem = validateSettingTarget(guild, key, target);
+      if (problem) {
+        recordAudit(guild, interaction.user, 'setup', { outcome: 'error', details: { Setting: setting.label, Value: `${target}` }, error: problem });
+        return await interaction.editReply({ content: `❌ ${problem}` });
       }
-    } catch (pendingErr) {
-      console.warn('⚠️ Error checking pending orders:', pendingErr.message);
+      
+      guildSettings.set(guild.id, { ...current, [key]: target.id });
+      console.log(`⚙️ ${interaction.user.tag} set ${key} to ${target.id}`);
     }
     
+    // The queue board follows its channel
+    if (key === 'orderQueueChannel') scheduleOrderQueueRefresh();
+    
+    recordAudit(guild, interaction.user, 'setup', {
+      details: { Setting: setting.label, Value: subcommand === 'reset' ? `Reset - now ${formatSettingValue(guild, key)}` : formatSettingValue(guild, key) }
+    });
+    await interaction.editReply({
+      content: `✅ **${setting.label}** is now ${formatSettingValue(guild, key)}`,
+      embeds: [buildSetupEmbed(guild)]
+    }).catch(e => console.warn('⚠️ Could not confirm setting change:', e.message));
   } catch (error) {
-    console.error('❌ guildMemberAdd error:', error.message);
+    console.error('❌ Setup command error:', error.message);
+    recordAudit(interaction.guild, interaction.user, 'setup', { outcome: 'error', error: error.message });
+    await interaction.editReply({ content: `❌ Error: ${error.message}` });
   }
-});
+}
 
 // ============================================================
-// CREATE CUSTOMER ORDER THREAD
+// TEMPLATES - /template admin editing (see EMBED TEMPLATES)
 // ============================================================
 
-async function createCustomerOrderThread(guild, member, order) {
-  const userId = member.id;
-  const botUserId = guild.client.user.id;
-  const orderId = order.orderId || order.id;
-  
-  // Debug logging to verify order data
-  console.log(`📦 Creating customer thread with order data:`, {
-    orderId,
-    email: order.email || order.customerEmail,
-    total: order.total || order.totalPaid,
-    discountAmount: order.discountAmount || order.discount,
-    discountCode: order.discountCode || order.promoCode,
-    affiliateCode: order.affiliateCode,
-    orderItemsCount: order.orderItems?.length || 0,
-    productSummary: order.productSummary
-  });
-  
-  console.log(`📝 Creating thread for order ${orderId}...`);
-  
-  const staffRole = STAFF_ROLE_ID ? guild.roles.cache.get(STAFF_ROLE_ID) : null;
-  
-  // Find claim-here channel
-  let claimHereChannel = CLAIM_HERE_CHANNEL_ID
-    ? guild.channels.cache.get(CLAIM_HERE_CHANNEL_ID)
-    : guild.channels.cache.find(ch => ch.name.includes('claim-here') && ch.type === ChannelType.GuildText);
+// Longest value a modal text input accepts
+const TEMPLATE_INPUT_MAX_LENGTH = 4000;
+
+/**
+ * Pass `edited` to preview a template that hasn't been saved yet
+ */
+function buildTemplatePreview(guild, name, locale = DEFAULT_LOCALE, edited = undefined) {
+  const template = EMBED_TEMPLATES[name];
+  const customised = Boolean(edited || embedTemplates.get(guild.id)?.[name]);
+  return {
+    content: [
+      `**${template.label}** - ${customised ? 'edited with `/template edit`' : 'built-in'} • sample order in \`${locale}\``,
+      `Placeholders: ${template.placeholders.map(p => `\`{${p}}\``).join(' ') || 'none'} • catalog text: \`{t:key}\``
+    ].join('\n'),
+    embeds: [renderEmbedTemplate(guild, name, template.sample(locale), locale, edited)]
+  };
+}
+
+async function handleTemplateCommand(interaction) {
+  const guild = interaction.guild;
+  const subcommand = interaction.options.getSubcommand();
+  const name = interaction.options.getString('template');
   
-  if (!claimHereChannel) {
-    console.error('❌ claim-here channel not found! Set DISCORD_CLAIM_HERE_CHANNEL_ID in .env');
-    return null;
+  // A modal has to be the first response, so edit can't defer
+  if (subcommand === 'edit') {
+    const current = getEmbedTemplate(guild, name);
+    const pretty = JSON.stringify(current, null, 2);
+    const modal = new ModalBuilder()
+      .setCustomId(`template_modal_${name}`)
+      .setTitle(`Edit template: ${name}`)
+      .addComponents(
+        new ActionRowBuilder().addComponents(
+          new TextInputBuilder()
+            .setCustomId('json')
+            .setLabel('Embed JSON')
+            .setStyle(TextInputStyle.Paragraph)
+            .setMaxLength(TEMPLATE_INPUT_MAX_LENGTH)
+            .setValue(pretty.length <= TEMPLATE_INPUT_MAX_LENGTH ? pretty : JSON.stringify(current))
+            .setRequired(true)
+        )
+      );
+    return await interaction.showModal(modal).catch(e => console.warn('⚠️ Could not show template modal:', e.message));
   }
   
-  // Check if thread already exists
-  const orderSuffix = orderId.slice(-6).toUpperCase();
-  
-  // Prevent duplicate thread creation with a lock
-  const lockKey = `${userId}-${orderId}`;
-  if (threadCreationLocks.has(lockKey)) {
-    console.log(`⚠️ Thread creation already in progress for ${orderId}, skipping...`);
-    return null;
-  }
-  threadCreationLocks.add(lockKey);
+  await interaction.deferReply({ ephemeral: true });
   
   try {
-    const activeThreads = await claimHereChannel.threads.fetchActive().catch(() => ({ threads: new Map() }));
-    const archivedThreads = await claimHereChannel.threads.fetchArchived().catch(() => ({ threads: new Map() }));
-  
-  const existingThread = [...activeThreads.threads.values(), ...archivedThreads.threads.values()]
-    .find(t => t.name.includes(orderSuffix));
-  
-  // Delete existing empty thread if found
-  if (existingThread) {
-    console.log(`🗑️ Found existing thread for ${orderId}, deleting it to create fresh one...`);
-    await existingThread.delete().catch(e => console.warn(`⚠️ Could not delete old thread:`, e.message));
-  }
-  
-  // Create PRIVATE order thread (only customer + staff can see it)
-  const orderThread = await claimHereChannel.threads.create({
-    name: `📦 Order-${orderSuffix}`,
-    autoArchiveDuration: ThreadAutoArchiveDuration.OneWeek,
-    type: ChannelType.PrivateThread,
-    invitable: false, // Only added members can see
-    reason: `Order thread for ${orderId}`
-  });
-  
-  // Add customer to thread
-  await orderThread.members.add(userId).catch(e => console.warn(`⚠️ Could not add customer to thread:`, e.message));
-  console.log(`✅ Added customer ${userId} to thread`);
-  
-  // Add all staff members to the thread so they get notifications
-  // Use role.members instead of fetching all guild members to avoid rate limits
-  if (staffRole) {
-    const staffMembers = staffRole.members;
-    console.log(`👥 Adding ${staffMembers.size} staff member(s) to customer thread...`);
-    for (const [, staffMember] of staffMembers) {
-      await delay(100); // Small delay between adds to avoid rate limits
-      await orderThread.members.add(staffMember.id).catch(e => console.warn(`⚠️ Could not add ${staffMember.user.tag}:`, e.message));
+    if (subcommand === 'reset') {
+      const { [name]: removed, ...rest } = embedTemplates.get(guild.id) || {};
+      embedTemplates.set(guild.id, rest);
+      if (removed) {
+        console.log(`🧩 ${interaction.user.tag} reset the ${name} template`);
+        recordAudit(guild, interaction.user, 'template', { details: { Template: EMBED_TEMPLATES[name].label, Change: 'Reset to built-in' } });
+      }
+      
+      const preview = buildTemplatePreview(guild, name);
+      return await interaction.editReply({
+        ...preview,
+        content: `${removed ? '✅ Back to the built-in template.' : 'ℹ️ This template was already the built-in one.'}\n${preview.content}`
+      });
     }
-    console.log(`✅ Staff members added to thread`);
+    
+    await interaction.editReply(buildTemplatePreview(guild, name, interaction.options.getString('language') || DEFAULT_LOCALE));
+  } catch (error) {
+    console.error('❌ Template command error:', error.message);
+    await interaction.editReply({ content: `❌ Error: ${error.message}` });
   }
-  
-  // Build order details
-  const products = order.orderItems || order.products || [];
-  let itemsList = products.length > 0
-    ? products.map(p => {
-        const qty = Number(p.quantity || 1);
-        const price = Number(p.price || 0);
-        const name = p.product?.name || p.name || 'Product';
-        return `• **${name}** (x${qty}) - $${price.toFixed(2)}`;
-      }).join('\n')
-    : order.productSummary || 'Unknown';
-  
-  const formattedDate = order.createdAt 
-    ? new Date(order.createdAt).toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' })
-    : 'Unknown';
-  
-  // Instruction embed
-  const instructionEmbed = new EmbedBuilder()
-    .setTitle('🎮 How Delivery Works')
-    .setDescription('Welcome to your private order thread! Here\'s what happens next:')
-    .setColor(0x5865F2)
-    .addFields(
-      { name: '⏳ Step 1: Wait for Staff', value: 'A staff member will join this thread shortly to assist with your delivery.', inline: false },
-      { name: '🔗 Step 2: Private Server Link', value: 'You\'ll receive a Roblox private server link in this thread.', inline: false },
-      { name: '🎁 Step 3: Join & Claim', value: 'Click the link, join the server, and claim your items!', inline: false },
-      { name: '⭐ Step 4: Leave a Review', value: 'After delivery, we\'d love your feedback on our website!', inline: false },
-      { name: '💬 Questions?', value: 'Feel free to ask anything in this thread - staff will respond ASAP!', inline: false }
-    )
-    .setFooter({ text: 'This thread is private - only you and staff can see it' })
-    .setTimestamp();
-  
-  // Get optional fields
-  const customerEmail = order.email || order.customerEmail || order.user?.email || 'Not provided';
-  const discountCode = order.discountCode || order.promoCode || order.couponCode || null;
-  const discountPercent = order.discountPercent || order.promoDiscount || null;
-  const discountType = order.discountType || order.promoType || null;
-  const discountAmount = Number(order.discountAmount || order.discount || 0);
-  const totalPaid = Number(order.total || order.totalPaid || 0);
-  const affiliateCode = order.affiliateCode || null;
-  const affiliateName = order.affiliateName || null;
-  const affiliateDiscount = order.affiliateDiscount || null;
-  
-  // Calculate original price (total + discount)
-  const originalPrice = totalPaid + discountAmount;
-  
-  // Order details embed
-  const orderFields = [
-    { name: '📋 Order ID', value: `\`${orderId}\``, inline: true },
-    { name: '📅 Date', value: formattedDate, inline: true },
-    { name: '⏱️ Status', value: order.status || 'PROCESSING', inline: true },
-    { name: '🎮 Roblox', value: `\`${order.robloxUsername || 'Not linked'}\``, inline: true },
-    { name: '📧 Email', value: `\`${customerEmail}\``, inline: true },
-    { name: '🛒 Items', value: itemsList, inline: false },
-  ];
-  
-  // Show Original Price if there was a discount
-  if (discountAmount > 0) {
-    orderFields.push({ name: '💵 Original Price', value: `~~$${originalPrice.toFixed(2)}~~`, inline: true });
+}
+
+async function handleTemplateSubmit(interaction, name) {
+  if (!interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild)) {
+    return await interaction.reply({ content: '❌ This command is only available to server admins.', ephemeral: true }).catch(() => {});
   }
+  if (!EMBED_TEMPLATES[name]) return;
   
-  // Always show Total Paid
-  orderFields.push({ name: '💰 Total Paid', value: `**$${totalPaid.toFixed(2)}**`, inline: true });
+  await interaction.deferReply({ ephemeral: true });
   
-  // Add savings if there was a discount
-  if (discountAmount > 0) {
-    orderFields.push({ name: '🎉 You Saved', value: `**$${discountAmount.toFixed(2)}**`, inline: true });
-  }
+  // A rejected edit comes back as a file so the admin doesn't lose their work
+  const raw = interaction.fields.getTextInputValue('json');
+  const rejected = (problems) => {
+    recordAudit(interaction.guild, interaction.user, 'template', {
+      outcome: 'error',
+      details: { Template: EMBED_TEMPLATES[name].label, Change: 'Edit rejected' },
+      error: problems.join('\n')
+    });
+    return interaction.editReply({
+      content: truncateText(`❌ Template not saved:\n${problems.map(p => `• ${p}`).join('\n')}`, 2000),
+      files: [new AttachmentBuilder(Buffer.from(raw, 'utf8'), { name: `${name}.json` })]
+    });
+  };
   
-  // Add promo code with percentage if used
-  if (discountCode) {
-    let promoDisplay = `\`${discountCode}\``;
-    if (discountPercent) {
-      promoDisplay += ` (${discountPercent}% OFF)`;
-    } else if (discountType === 'fixed' && discountAmount > 0) {
-      promoDisplay += ` ($${discountAmount.toFixed(2)} OFF)`;
+  try {
+    let template;
+    try {
+      template = JSON.parse(raw);
+    } catch (e) {
+      return await rejected([`That isn't valid JSON: ${e.message}`]);
     }
-    orderFields.push({ name: '🎟️ Promo Code Used', value: promoDisplay, inline: true });
-  }
-  
-  // Add affiliate code if used
-  if (affiliateCode || affiliateName) {
-    let affiliateDisplay = `\`${affiliateCode}\``;
-    if (affiliateDiscount) {
-      affiliateDisplay += ` (${affiliateDiscount}% OFF)`;
+    
+    const problems = validateEmbedTemplate(name, template);
+    if (problems.length > 0) {
+      return await rejected(problems);
     }
-    if (affiliateName) {
-      affiliateDisplay += ` - Referred by: ${affiliateName}`;
+    
+    // Save only once Discord has accepted the embed in the preview
+    const guild = interaction.guild;
+    const preview = buildTemplatePreview(guild, name, DEFAULT_LOCALE, template);
+    try {
+      await interaction.editReply({
+        ...preview,
+        content: `✅ Saved - messages sent from now on use it.\n${preview.content}`
+      });
+    } catch (e) {
+      return await rejected([`Discord rejected the embed: ${e.message}`]);
     }
-    orderFields.push({ name: '👥 Referred By', value: affiliateDisplay, inline: true });
-  }
-  
-  const orderEmbed = new EmbedBuilder()
-    .setTitle('📦 Order Details')
-    .setDescription('Here\'s a summary of your BloxBeam order:')
-    .setColor(0x3DFF88)
-    .addFields(orderFields)
-    .setFooter({ text: 'Thank you for shopping with BloxBeam! 💚' })
-    .setTimestamp();
-  
-  await orderThread.send({ embeds: [instructionEmbed] });
-  await orderThread.send({ embeds: [orderEmbed] });
-  
-  // Ping customer and staff so they see the thread
-  await orderThread.send(`<@${userId}> 👋 Your order thread is ready! <@&${staffRole?.id}> 🔔 New order!`);
-  
-  // Save thread ID and URL to backend for permanent record
-  const threadUrl = `https://discord.com/channels/${guild.id}/${orderThread.id}`;
-  await axios.patch(`${BACKEND_URL}/api/orders/${orderId}`, {
-    discordThreadId: orderThread.id,
-    discordThreadUrl: threadUrl
-  }, {
-    headers: { 'X-Webhook-Secret': WEBHOOK_SECRET }
-  }).catch(e => console.warn(`⚠️ Could not save thread URL to backend:`, e.message));
-  console.log(`💾 Saved thread URL: ${threadUrl}`);
-  
-  // Start keep-alive
-  startKeepAlive(orderThread, orderId);
-  
-  console.log(`✅ Created order thread: Order-${orderSuffix}`);
-  
-  // Release the lock
-  threadCreationLocks.delete(lockKey);
-  
-  return orderThread;
+    
+    embedTemplates.set(guild.id, { ...embedTemplates.get(guild.id), [name]: template });
+    console.log(`🧩 ${interaction.user.tag} edited the ${name} template`);
+    recordAudit(guild, interaction.user, 'template', { details: { Template: EMBED_TEMPLATES[name].label, Change: 'Edited' } });
   } catch (error) {
-    // Release lock on error
-    threadCreationLocks.delete(lockKey);
-    throw error;
+    console.error('❌ Template submit error:', error.message);
+    recordAudit(interaction.guild, interaction.user, 'template', { outcome: 'error', details: { Template: EMBED_TEMPLATES[name].label }, error: error.message });
+    await interaction.editReply({ content: `❌ Error: ${error.message}` });
   }
 }
 
 // ============================================================
-// COMPLETE ORDER - DELETE THREADS
+// ORDERS LIST - /orders with filters and pagination
 // ============================================================
 
-async function completeOrder(guild, orderId, completedBy) {
-  console.log(`✅ Completing order ${orderId} - DELETING threads...`);
+const ORDERS_PAGE_SIZE = 10;
+const ORDER_LIST_SESSION_TTL = 15 * 60 * 1000; // Matches the interaction token lifetime
+
+// Results per /orders invocation so paging doesn't re-query (sessionId -> { orders, filters, createdAt })
+const orderListSessions = new Map();
+
+function pruneOrderListSessions() {
+  for (const [id, session] of orderListSessions) {
+    if (Date.now() - session.createdAt > ORDER_LIST_SESSION_TTL) orderListSessions.delete(id);
+  }
+}
+
+function parseDateOption(value, endOfDay = false) {
+  if (!value) return null;
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return NaN;
+  const date = new Date(`${value}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}Z`);
+  return date.getTime();
+}
+
+const ORDERS_FETCH_PAGE_SIZE = 500;
+// Stops a runaway date range (or a backend that ignores offset) from paging forever
+const ORDERS_FETCH_MAX_PAGES = 40;
+
+/**
+ * Fetch orders from the backend, page by page until it runs out. Filters are passed
+ * through as query params and re-applied locally in case the API ignores some of them.
+ * Returns { orders, truncated } - truncated when not every order could be loaded.
+ */
+async function fetchOrders(guild, filters) {
+  const params = {
+    status: filters.status || undefined,
+    assignedTo: filters.assigneeId || undefined,
+    from: filters.from ? new Date(filters.from).toISOString() : undefined,
+    to: filters.to ? new Date(filters.to).toISOString() : undefined,
+    product: filters.product || undefined,
+    discordId: filters.customerId || undefined,
+    limit: ORDERS_FETCH_PAGE_SIZE
+  };
   
-  const orderSuffix6 = orderId.slice(-6).toUpperCase();
-  let deletedCount = 0;
+  const byId = new Map();
+  let truncated = false;
+  for (let page = 0; ; page++) {
+    if (page === ORDERS_FETCH_MAX_PAGES) {
+      truncated = true;
+      break;
+    }
+    const response = await backendFor(guild).get('/api/orders', { params: { ...params, offset: page * ORDERS_FETCH_PAGE_SIZE } });
+    const batch = Array.isArray(response.data) ? response.data : (response.data?.orders || []);
+    
+    const sizeBefore = byId.size;
+    for (const order of batch) {
+      const orderId = order.orderId || order.id;
+      byId.set(orderId, { ...order, orderId });
+    }
+    
+    if (batch.length < ORDERS_FETCH_PAGE_SIZE || response.data?.hasMore === false) break;
+    if (byId.size === sizeBefore) {
+      // A full page with nothing new - the backend isn't paging, so this is all we can get
+      truncated = true;
+      break;
+    }
+  }
   
-  // Stop keep-alive
-  stopKeepAlive(orderId);
+  const orders = [...byId.values()]
+    .filter(order => {
+      const createdAt = Date.parse(order.createdAt);
+      const assignee = order.assignedTo || orderAssignments.get(order.orderId)?.staffId;
+      if (filters.status && order.status !== filters.status) return false;
+      if (filters.assigneeId && assignee !== filters.assigneeId) return false;
+      if (filters.customerId && String(order.discordId) !== filters.customerId) return false;
+      if (filters.from && !(createdAt >= filters.from)) return false;
+      if (filters.to && !(createdAt <= filters.to)) return false;
+      if (filters.product && !getProductName(order, order.orderId).toLowerCase().includes(filters.product.toLowerCase())) return false;
+      return true;
+    })
+    .sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt));
   
-  // Find or create order-saved channel for logging
-  let orderSavedChannel = guild.channels.cache.find(
-    ch => ch.name === 'order-saved' && ch.type === ChannelType.GuildText
-  );
+  if (truncated) console.warn(`⚠️ Order list stopped at ${byId.size} orders - the backend has more`);
+  return { orders, truncated };
+}
+
+function buildOrdersPage(sessionId, page) {
+  const session = orderListSessions.get(sessionId);
+  const { orders, filters, guildId, truncated } = session;
+  const pageCount = Math.max(1, Math.ceil(orders.length / ORDERS_PAGE_SIZE));
+  page = Math.min(Math.max(page, 0), pageCount - 1);
   
-  if (!orderSavedChannel) {
-    const dashboardCategory = guild.channels.cache.find(
-      ch => ch.name === 'Dashboard' && ch.type === ChannelType.GuildCategory
-    );
-    const staffRole = STAFF_ROLE_ID ? guild.roles.cache.get(STAFF_ROLE_ID) : null;
-    const botUserId = guild.client.user.id;
+  const fields = orders.slice(page * ORDERS_PAGE_SIZE, (page + 1) * ORDERS_PAGE_SIZE).map(order => {
+    const orderId = order.orderId;
+    // Backend discordThreadId first, then the local index
+    rememberOrderThread(orderId, order.discordThreadId, { guildId, userId: order.discordId });
+    const threadId = order.discordThreadId || orderThreads.get(orderId)?.threadId;
+    const assignee = order.assignedTo || orderAssignments.get(orderId)?.staffId;
+    const createdAt = Date.parse(order.createdAt);
     
-    orderSavedChannel = await guild.channels.create({
-      name: 'order-saved',
-      type: ChannelType.GuildText,
-      parent: dashboardCategory?.id,
-      topic: '📋 Completed order logs',
-      permissionOverwrites: [
-        { id: guild.roles.everyone.id, deny: [PermissionFlagsBits.ViewChannel] },
-        { id: staffRole?.id, allow: [PermissionFlagsBits.ViewChannel, PermissionFlagsBits.ReadMessageHistory], deny: [PermissionFlagsBits.SendMessages] },
-        { id: botUserId, allow: [PermissionFlagsBits.ViewChannel, PermissionFlagsBits.SendMessages] }
-      ].filter(p => p.id)
-    });
-  }
+    return {
+      name: truncateText(`\`${orderId}\` • ${order.status || 'PENDING'}`, EMBED_LIMITS.fieldName),
+      value: truncateText([
+        `📅 ${Number.isNaN(createdAt) ? 'Unknown date' : `<t:${Math.floor(createdAt / 1000)}:f>`} • 🎮 \`${order.robloxUsername || 'Not linked'}\``,
+        `🙋 ${assignee ? `<@${assignee}>` : 'Unclaimed'} • 🛒 ${truncateText(getProductName(order, orderId), 80)}`,
+        `🧵 ${threadId ? `<#${threadId}>` : 'No thread'}`
+      ].join('\n'), EMBED_LIMITS.fieldValue),
+      inline: false
+    };
+  });
   
-  // =================================================
-  // FIND order threads in claim-here channel
-  // =================================================
-  const claimHereChannel = CLAIM_HERE_CHANNEL_ID
-    ? guild.channels.cache.get(CLAIM_HERE_CHANNEL_ID)
-    : guild.channels.cache.find(ch => ch.name.includes('claim-here') && ch.type === ChannelType.GuildText);
+  const filterSummary = [
+    filters.status && `status: **${filters.status}**`,
+    filters.assigneeId && `assignee: <@${filters.assigneeId}>`,
+    filters.fromLabel && `from: **${filters.fromLabel}**`,
+    filters.toLabel && `to: **${filters.toLabel}**`,
+    filters.product && `product: **${filters.product}**`
+  ].filter(Boolean).join(' • ');
   
-  if (claimHereChannel) {
-    try {
-      console.log(`🔍 Searching for threads in channel: #${claimHereChannel.name} (${claimHereChannel.id})`);
-      const activeThreads = await claimHereChannel.threads.fetchActive();
-      const archivedThreads = await claimHereChannel.threads.fetchArchived();
-      
-      const allThreads = [...activeThreads.threads.values(), ...archivedThreads.threads.values()];
-      console.log(`🔍 Found ${allThreads.length} total thread(s). Looking for suffix "${orderSuffix6}"...`);
-      if (allThreads.length > 0) {
-        console.log(`🔍 Thread names: ${allThreads.map(t => t.name).join(', ')}`);
-      }
-      const orderThreads = allThreads.filter(t => t.name.includes(orderSuffix6));
-      
-      for (const thread of orderThreads) {
-        try {
-          // Fetch thread messages to get order details
-          const messages = await thread.messages.fetch({ limit: 10 });
-          const orderEmbed = messages.find(m => m.embeds?.[0]?.title?.includes('Order Details'))?.embeds?.[0];
-          
-          // Get thread URL for permanent record
-          const threadUrl = `https://discord.com/channels/${guild.id}/${thread.id}`;
-          
-          // Log to order-saved channel
-          const logEmbed = {
-            title: '✅ Order Delivered & Archived',
-            description: 'This order has been successfully completed and the thread is now archived.',
-            color: 0x00FF00,
-            fields: [
-              { name: '📦 Order ID', value: `\`${orderId}\``, inline: true },
-              { name: '👨‍💼 Delivered By', value: `<@${completedBy}>`, inline: true },
-              { name: '📅 Completed', value: new Date().toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' }), inline: true },
-              { name: '🔗 Thread Archive', value: `[View archived thread](${threadUrl})`, inline: false }
-            ],
-            timestamp: new Date().toISOString(),
-            footer: { text: 'BloxBeam Order Log • Thread archived for records' }
-          };
-          
-          // Add ALL order details from the embed if found
-          if (orderEmbed) {
-            for (const field of orderEmbed.fields || []) {
-              // Skip duplicate Order ID field
-              if (field.name.includes('Order ID')) continue;
-              logEmbed.fields.push({ name: field.name, value: field.value, inline: field.inline });
-            }
-          }
-          
-          await orderSavedChannel.send({ embeds: [logEmbed] });
-          console.log(`📋 Logged order ${orderId} to order-saved`);
-          
-          // Send completion message to customer thread
-          await thread.send({
-            embeds: [{
-              title: '🎉 ORDER DELIVERED!',
-              description: 'Your items have been successfully delivered to your Roblox account!',
-              color: 0x00FF00,
-              fields: [
-                { name: '📦 Order ID', value: `\`${orderId}\``, inline: true },
-                { name: '👨‍💼 Delivered By', value: `<@${completedBy}>`, inline: true },
-                { name: '📅 Completed', value: new Date().toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' }), inline: true },
-                { name: '⭐ Leave a Review', value: 'We\'d love to hear your feedback! Leave us a review on our website or Discord.', inline: false },
-                { name: '🔄 Order Again?', value: 'Visit [bloxbeam.com](https://bloxbeam.com) for more items!', inline: false },
-                { name: '📁 Thread Status', value: 'This thread will be archived shortly. You can still view it in your thread history.', inline: false }
-              ],
-              footer: { text: 'Thank you for shopping with BloxBeam! 💚' },
-              timestamp: new Date().toISOString()
-            }]
-          });
-          
-          // DM the customer that their order is delivered
-          try {
-            const threadMembers = await thread.members.fetch();
-            // Find customer (not staff, not bot)
-            for (const [memberId, threadMember] of threadMembers) {
-              if (memberId === guild.client.user.id) continue; // Skip bot
-              const guildMember = await guild.members.fetch(memberId).catch(() => null);
-              if (!guildMember) continue;
-              if (STAFF_ROLE_ID && guildMember.roles.cache.has(STAFF_ROLE_ID)) continue; // Skip staff
-              
-              // This is the customer - send DM
-              await guildMember.user.send({
-                embeds: [{
-                  title: '🎉 ORDER DELIVERED!',
-                  description: 'Your items have been successfully delivered to your Roblox account!',
-                  color: 0x00FF00,
-                  fields: [
-                    { name: '📦 Order ID', value: `\`${orderId}\``, inline: true },
-                    { name: '👨‍💼 Delivered By', value: `<@${completedBy}>`, inline: true },
-                    { name: '📅 Completed', value: new Date().toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' }), inline: true },
-                    { name: '⭐ Leave a Review', value: 'We\'d love to hear your feedback! Leave us a review on our website or Discord.', inline: false },
-                    { name: '🔄 Order Again?', value: 'Visit [bloxbeam.com](https://bloxbeam.com) for more items!', inline: false }
-                  ],
-                  footer: { text: 'Thank you for shopping with BloxBeam! 💚' },
-                  timestamp: new Date().toISOString()
-                }]
-              });
-              console.log(`✅ Sent delivery confirmation DM to ${guildMember.user.tag}`);
-              break; // Only DM first customer found
-            }
-          } catch (dmErr) {
-            console.warn(`⚠️ Could not DM customer:`, dmErr.message);
-          }
-          
-          // Archive and lock thread (don't delete - keep for history)
-          setTimeout(async () => {
-            try {
-              await thread.setLocked(true);
-              await thread.setArchived(true);
-              console.log(`🔒 Archived and locked thread: ${thread.name}`);
-            } catch (e) {
-              console.warn(`⚠️ Could not archive thread:`, e.message);
-            }
-          }, 10000); // Archive after 10 seconds
-          
-          deletedCount++;
-        } catch (e) {
-          console.warn(`⚠️ Could not process thread ${thread.name}:`, e.message);
-        }
-      }
-    } catch (e) {
-      console.warn(`⚠️ Error with threads:`, e.message);
-    }
-  } else {
-    console.error(`❌ Could not find claim-here channel! CLAIM_HERE_CHANNEL_ID=${CLAIM_HERE_CHANNEL_ID}`);
-    console.error(`   Available channels: ${guild.channels.cache.filter(ch => ch.type === ChannelType.GuildText).map(ch => `#${ch.name} (${ch.id})`).join(', ')}`);
+  const embed = new EmbedBuilder()
+    .setTitle(`📦 Orders (${orders.length})`)
+    .setColor(0x5865F2)
+    .setDescription([
+      orders.length === 0 ? 'No orders match these filters.' : (filterSummary || 'All orders'),
+      truncated && '⚠️ The backend returned more orders than could be loaded - narrow the filters to see them all.'
+    ].filter(Boolean).join('\n'))
+    .addFields(fields)
+    .setFooter({ text: `Page ${page + 1} of ${pageCount}` })
+    .setTimestamp();
+  
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`orders_page_${sessionId}_${page - 1}`)
+      .setLabel('Previous')
+      .setEmoji('◀️')
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(page === 0),
+    new ButtonBuilder()
+      .setCustomId(`orders_page_${sessionId}_${page + 1}`)
+      .setLabel('Next')
+      .setEmoji('▶️')
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(page >= pageCount - 1)
+  );
+  
+  return { embeds: [embed], components: orders.length > ORDERS_PAGE_SIZE ? [row] : [] };
+}
+
+async function handleOrdersCommand(interaction) {
+  const fromLabel = interaction.options.getString('from');
+  const toLabel = interaction.options.getString('to');
+  const filters = {
+    status: interaction.options.getString('status'),
+    assigneeId: interaction.options.getUser('assignee')?.id || null,
+    from: parseDateOption(fromLabel),
+    to: parseDateOption(toLabel, true),
+    fromLabel,
+    toLabel,
+    product: interaction.options.getString('product')?.trim() || null
+  };
+  
+  if (Number.isNaN(filters.from) || Number.isNaN(filters.to)) {
+    return await interaction.reply({ content: '❌ Dates must be in YYYY-MM-DD format.', ephemeral: true });
   }
   
-  return deletedCount;
+  await interaction.deferReply({ ephemeral: true });
+  
+  try {
+    const { orders, truncated } = await fetchOrders(interaction.guild, filters);
+    
+    pruneOrderListSessions();
+    orderListSessions.set(interaction.id, { orders, filters, truncated, guildId: interaction.guild.id, createdAt: Date.now() });
+    
+    await interaction.editReply(buildOrdersPage(interaction.id, 0));
+  } catch (error) {
+    const errorMsg = error.response?.data?.message || error.response?.data?.error || error.message || 'Unknown error';
+    console.error('❌ Orders list error:', errorMsg);
+    await interaction.editReply({ content: `❌ Could not load orders: ${errorMsg}` });
+  }
+}
+
+async function handleOrdersPage(interaction, pageKey) {
+  const [sessionId, page] = pageKey.split('_');
+  if (!orderListSessions.has(sessionId)) {
+    return await interaction.update({ content: '⌛ This list has expired - run `/orders` again.', embeds: [], components: [] }).catch(() => {});
+  }
+  await interaction.update(buildOrdersPage(sessionId, Number(page))).catch(e => console.warn('⚠️ Could not change page:', e.message));
 }
 
 // ============================================================
-// HANDLE SLASH COMMANDS
+// MY ORDERS - Customer-facing /my-orders
 // ============================================================
 
-client.on('interactionCreate', async (interaction) => {
-  // Handle button clicks
-  if (interaction.isButton()) {
-    if (interaction.customId.startsWith('complete_order_')) {
-      // Check if user has staff role for button clicks too
-      const member = interaction.member;
-      const hasStaffRole = member && member.roles && member.roles.cache.has(STAFF_ROLE_ID);
-      if (!hasStaffRole) {
-        await interaction.reply({ content: '❌ Only staff members can complete orders.', ephemeral: true }).catch(() => {});
-        return;
-      }
-      const orderId = interaction.customId.replace('complete_order_', '');
-      await handleCompleteOrder(interaction, orderId);
-    }
-    return;
-  }
+const MY_ORDERS_PAGE_SIZE = 5; // One "Re-open" button per order fits a single row
+
+function buildMyOrdersPage(sessionId, page) {
+  const { orders, locale, truncated } = orderListSessions.get(sessionId);
+  const pageCount = Math.max(1, Math.ceil(orders.length / MY_ORDERS_PAGE_SIZE));
+  page = Math.min(Math.max(page, 0), pageCount - 1);
+  const pageOrders = orders.slice(page * MY_ORDERS_PAGE_SIZE, (page + 1) * MY_ORDERS_PAGE_SIZE);
   
-  if (!interaction.isChatInputCommand()) return;
+  const fields = pageOrders.map(order => {
+    const threadId = order.discordThreadId || orderThreads.get(order.orderId)?.threadId;
+    const createdAt = Date.parse(order.createdAt);
+    return {
+      name: truncateText(t(locale, 'myOrders.order', { suffix: order.orderId.slice(-6).toUpperCase(), status: order.status || 'PROCESSING' }), EMBED_LIMITS.fieldName),
+      value: truncateText([
+        `📅 ${Number.isNaN(createdAt) ? t(locale, 'myOrders.unknownDate') : `<t:${Math.floor(createdAt / 1000)}:D>`} • 💰 ${formatPrice(getOrderTotal(order), locale, order.currency || getOrderCurrency(order.orderId))}`,
+        `🛒 ${truncateText(getProductName(order, order.orderId), 200)}`,
+        `🧵 ${threadId ? `<#${threadId}>` : t(locale, 'myOrders.noThread')}`
+      ].join('\n'), EMBED_LIMITS.fieldValue),
+      inline: false
+    };
+  });
   
-  const { commandName } = interaction;
+  const embed = new EmbedBuilder()
+    .setTitle(t(locale, 'myOrders.title'))
+    .setColor(0x3DFF88)
+    .setDescription([
+      orders.length === 0 ? t(locale, 'myOrders.empty') : t(locale, 'myOrders.reopenHint'),
+      truncated && t(locale, 'myOrders.truncated')
+    ].filter(Boolean).join('\n'))
+    .addFields(fields)
+    .setFooter({ text: t(locale, 'myOrders.footer', { page: page + 1, pages: pageCount }) })
+    .setTimestamp();
   
-  // Staff-only commands - check for Staff role
-  const staffCommands = ['complete', 'order-status', 'notify-customer', 'send-server-link'];
-  if (staffCommands.includes(commandName)) {
-    const member = interaction.member;
-    const hasStaffRole = member && member.roles && member.roles.cache.has(STAFF_ROLE_ID);
-    if (!hasStaffRole) {
-      await interaction.reply({ 
-        content: '❌ This command is only available to staff members.', 
-        ephemeral: true 
-      }).catch(() => {});
-      return;
-    }
+  const components = [];
+  const reopenButtons = pageOrders
+    .filter(order => order.discordThreadId || orderThreads.has(order.orderId))
+    .map(order => new ButtonBuilder()
+      .setCustomId(`reopen_thread_${order.orderId}`)
+      .setLabel(t(locale, 'myOrders.reopen', { suffix: order.orderId.slice(-6).toUpperCase() }))
+      .setEmoji('🧵')
+      .setStyle(ButtonStyle.Primary));
+  if (reopenButtons.length > 0) {
+    components.push(new ActionRowBuilder().addComponents(reopenButtons));
+  }
+  if (orders.length > MY_ORDERS_PAGE_SIZE) {
+    components.push(new ActionRowBuilder().addComponents(
+      new ButtonBuilder()
+        .setCustomId(`my_orders_page_${sessionId}_${page - 1}`)
+        .setLabel(t(locale, 'myOrders.previous'))
+        .setEmoji('◀️')
+        .setStyle(ButtonStyle.Secondary)
+        .setDisabled(page === 0),
+      new ButtonBuilder()
+        .setCustomId(`my_orders_page_${sessionId}_${page + 1}`)
+        .setLabel(t(locale, 'myOrders.next'))
+        .setEmoji('▶️')
+        .setStyle(ButtonStyle.Secondary)
+        .setDisabled(page >= pageCount - 1)
+    ));
   }
   
+  return { embeds: [embed], components };
+}
+
+async function handleMyOrdersCommand(interaction) {
+  await interaction.deferReply({ ephemeral: true });
+  
   try {
-    if (commandName === 'complete') {
-      const orderId = interaction.options.getString('order_id');
-      await handleCompleteOrder(interaction, orderId);
-    } else if (commandName === 'order-status') {
-      await handleStatusCommand(interaction);
-    } else if (commandName === 'notify-customer') {
-      await handleNotifyCustomer(interaction);
-    } else if (commandName === 'send-server-link') {
-      await handleSendServerLink(interaction);
+    const { orders, truncated } = await fetchOrders(interaction.guild, { customerId: interaction.user.id });
+    for (const order of orders) {
+      rememberOrderThread(order.orderId, order.discordThreadId, { guildId: interaction.guild.id, userId: interaction.user.id });
     }
+    
+    pruneOrderListSessions();
+    orderListSessions.set(interaction.id, {
+      orders,
+      truncated,
+      ownerId: interaction.user.id,
+      locale: getCustomerLocale(interaction.guild, { userId: interaction.user.id }),
+      createdAt: Date.now()
+    });
+    await interaction.editReply(buildMyOrdersPage(interaction.id, 0));
   } catch (error) {
-    console.error('❌ Command error:', error);
-    await interaction.reply({ content: '❌ An error occurred', ephemeral: true }).catch(() => {});
+    console.error('❌ My orders error:', error.message);
+    await interaction.editReply({ content: t(getCustomerLocale(interaction.guild, { userId: interaction.user.id }), 'myOrders.loadError') });
   }
-});
+}
 
-async function handleCompleteOrder(interaction, orderId) {
+async function handleMyOrdersPage(interaction, pageKey) {
+  const [sessionId, page] = pageKey.split('_');
+  const session = orderListSessions.get(sessionId);
+  if (!session || session.ownerId !== interaction.user.id) {
+    return await interaction.update({ content: '⌛ This list has expired - run `/my-orders` again.', embeds: [], components: [] }).catch(() => {});
+  }
+  await interaction.update(buildMyOrdersPage(sessionId, Number(page))).catch(e => console.warn('⚠️ Could not change page:', e.message));
+}
+
+/**
+ * Discord ID of the customer who placed an order (local record first, then backend)
+ */
+async function getOrderOwnerId(guild, orderId) {
+  const localOwner = orderThreads.get(orderId)?.userId;
+  if (localOwner) return localOwner;
+  const orderResponse = await backendFor(guild).get(`/api/orders/${orderId}`).catch(() => null);
+  return orderResponse?.data?.discordId ? String(orderResponse.data.discordId) : null;
+}
+
+async function handleReopenThread(interaction, orderId) {
   await interaction.deferReply({ ephemeral: true });
+  const locale = getCustomerLocale(interaction.guild, { orderId, userId: interaction.user.id });
   
   try {
-    console.log(`⏳ Completing order ${orderId}...`);
+    // Only the customer who placed the order may be re-added
+    const guild = interaction.guild || await findOrderGuild(orderId);
+    if (!guild || await getOrderOwnerId(guild, orderId) !== interaction.user.id) {
+      return await interaction.editReply({ content: t(locale, 'reopen.notYourOrder') });
+    }
     
-    // Update backend
-    const updateResponse = await axios.patch(
-      `${BACKEND_URL}/api/orders/${orderId}`,
-      {
-        status: 'DELIVERED',
-        deliveryStep: 'COMPLETE',
-        completedAt: new Date().toISOString(),
-        completedBy: String(interaction.user.id)
-      },
-      {
-        headers: { 'X-Webhook-Secret': WEBHOOK_SECRET }
-      }
+    const thread = await findOrderThread(guild, orderId);
+    if (!thread) {
+      return await interaction.editReply({ content: t(locale, 'reopen.noThread') });
+    }
+    
+    // Members can't be added to an archived thread - reopen it briefly if needed
+    const wasArchived = thread.archived;
+    if (wasArchived) {
+      await thread.setArchived(false);
+    }
+    await thread.members.add(interaction.user.id);
+    if (wasArchived) {
+      await thread.setArchived(true).catch(() => {});
+    }
+    console.log(`🧵 Re-added ${interaction.user.tag} to thread for ${orderId}`);
+    
+    await interaction.editReply({
+      content: t(locale, 'reopen.added', { thread: `<#${thread.id}>` })
+    });
+  } catch (error) {
+    console.error('❌ Re-open thread error:', error.message);
+    await interaction.editReply({ content: t(locale, 'reopen.error') });
+  }
+}
+
+// ============================================================
+// REVIEWS - Star ratings after delivery
+// ============================================================
+
+function buildReviewRow(orderId, selected = null) {
+  return new ActionRowBuilder().addComponents(
+    [1, 2, 3, 4, 5].map(rating => new ButtonBuilder()
+      .setCustomId(`review_${rating}_${orderId}`)
+      .setLabel(String(rating))
+      .setEmoji('⭐')
+      .setStyle(rating === selected ? ButtonStyle.Success : ButtonStyle.Secondary)
+      .setDisabled(selected !== null))
+  );
+}
+
+function formatStars(rating) {
+  return '⭐'.repeat(rating) + '☆'.repeat(5 - rating);
+}
+
+function buildPublicReviewEmbed(review, user) {
+  return {
+    title: formatStars(review.rating),
+    description: review.comment ? truncateText(review.comment, EMBED_LIMITS.description) : '*No comment*',
+    color: 0xFFD700,
+    author: { name: user.username, icon_url: user.displayAvatarURL() },
+    fields: review.staffId ? [{ name: '👨‍💼 Delivered By', value: `<@${review.staffId}>`, inline: true }] : [],
+    footer: { text: 'Verified BloxBeam purchase 💚' },
+    timestamp: review.createdAt
+  };
+}
+
+/**
+ * Bring an already shared review's post in line with a new rating or comment
+ */
+async function updatePublicReviewPost(guild, orderId, review, user) {
+  if (!review.publicPost) return;
+  try {
+    const channel = await guild.channels.fetch(review.publicPost.channelId);
+    const message = await channel.messages.fetch(review.publicPost.messageId);
+    await message.edit({ embeds: [buildPublicReviewEmbed(review, user)] });
+  } catch (e) {
+    console.warn(`⚠️ Could not update public review for ${orderId}:`, e.message);
+  }
+}
+
+async function handleReviewButton(interaction, orderId, rating) {
+  if (!(rating >= 1 && rating <= 5)) return;
+  
+  // Rating buttons also live in DMs, so the order decides the server
+  const guild = await findOrderGuild(orderId);
+  const locale = getCustomerLocale(guild, { orderId, userId: interaction.user.id });
+  if (!guild || await getOrderOwnerId(guild, orderId) !== interaction.user.id) {
+    return await interaction.reply({ content: t(locale, 'review.notYourOrder'), ephemeral: true }).catch(() => {});
+  }
+  
+  // Comment is optional - submitting the modal empty still records the rating
+  const modal = new ModalBuilder()
+    .setCustomId(`review_modal_${rating}_${orderId}`)
+    .setTitle(t(locale, 'review.modalTitle', { stars: '⭐'.repeat(rating) }))
+    .addComponents(
+      new ActionRowBuilder().addComponents(
+        new TextInputBuilder()
+          .setCustomId('comment')
+          .setLabel(t(locale, 'review.commentLabel'))
+          .setStyle(TextInputStyle.Paragraph)
+          .setMaxLength(1000)
+          .setRequired(false)
+      )
     );
+  await interaction.showModal(modal).catch(e => console.warn('⚠️ Could not show review modal:', e.message));
+}
+
+async function handleReviewSubmit(interaction, orderId, rating) {
+  await interaction.deferReply({ ephemeral: true });
+  const guild = await findOrderGuild(orderId);
+  const locale = getCustomerLocale(guild, { orderId, userId: interaction.user.id });
+  
+  try {
+    if (!guild || await getOrderOwnerId(guild, orderId) !== interaction.user.id) {
+      return await interaction.editReply({ content: t(locale, 'review.notYourOrder') });
+    }
     
-    const order = updateResponse.data;
-    console.log(`✅ Order ${orderId} marked as complete`);
+    const comment = interaction.fields.getTextInputValue('comment')?.trim() || null;
+    const staffId = orderThreads.get(orderId)?.completedBy || null;
+    const previous = reviews.get(orderId);
+    const review = {
+      guildId: guild.id,
+      rating,
+      comment,
+      customerId: interaction.user.id,
+      staffId,
+      public: previous?.public || false,
+      publicPost: previous?.publicPost || null,
+      createdAt: new Date().toISOString()
+    };
+    reviews.set(orderId, review);
+    console.log(`⭐ ${interaction.user.tag} rated order ${orderId} ${rating}/5`);
     
-    // Unlock delivery page
-    await axios.post(`${BACKEND_URL}/api/orders/${orderId}/delivery-state`, {
-      action: 'DELIVERY_COMPLETED',
-      step: 'COMPLETED'
-    }, {
-      headers: { 'X-Webhook-Secret': WEBHOOK_SECRET }
-    }).catch(() => {});
+    // A shared review must not keep showing the old stars
+    if (review.public) {
+      await updatePublicReviewPost(guild, orderId, review, interaction.user);
+    }
     
-    // DELETE all threads for this order (this also sends the delivery DM to customer)
-    const guild = client.guilds.cache.get(SERVER_ID);
-    const deletedCount = await completeOrder(guild, orderId, interaction.user.id);
+    await backendFor(guild).post(`/api/orders/${orderId}/review`, review)
+      .catch(e => console.warn(`⚠️ Could not save review to backend:`, e.message));
     
-    // Reply to staff
+    // Lock in the chosen rating on the message that was clicked
+    await interaction.message?.edit({ components: [buildReviewRow(orderId, rating)] }).catch(() => {});
+    
+    const reviewsChannel = resolveSetting(guild, 'reviewsChannel');
     await interaction.editReply({
-      embeds: [{
-        title: '✅ Order Completed',
-        description: `Order **${orderId}** has been delivered.\n\n**${deletedCount}** thread(s) will be deleted.`,
-        color: 0x00FF00,
-        footer: { text: `Completed by ${interaction.user.tag}` }
-      }]
+      content: t(locale, 'review.thanks', { stars: formatStars(rating) })
+        + (reviewsChannel && !review.public ? `\n\n${t(locale, 'review.sharePrompt')}` : ''),
+      components: reviewsChannel && !review.public
+        ? [new ActionRowBuilder().addComponents(
+            new ButtonBuilder()
+              .setCustomId(`review_public_${orderId}`)
+              .setLabel(t(locale, 'review.shareButton'))
+              .setEmoji('📣')
+              .setStyle(ButtonStyle.Primary)
+          )]
+        : []
     });
+  } catch (error) {
+    console.error('❌ Review submit error:', error.message);
+    await interaction.editReply({ content: t(locale, 'review.saveError') });
+  }
+}
+
+/**
+ * Customer opted in - post their review to the public reviews channel
+ */
+async function handleReviewConsent(interaction, orderId) {
+  const guild = await findOrderGuild(orderId);
+  const locale = getCustomerLocale(guild, { orderId, userId: interaction.user.id });
+  const review = reviews.get(orderId);
+  if (!guild || !review || review.customerId !== interaction.user.id) {
+    return await interaction.reply({ content: t(locale, 'review.notFound'), ephemeral: true }).catch(() => {});
+  }
+  if (review.public) {
+    return await interaction.update({ content: t(locale, 'review.alreadyPublic'), components: [] }).catch(() => {});
+  }
+  
+  const reviewsChannel = resolveSetting(guild, 'reviewsChannel');
+  if (!reviewsChannel) {
+    return await interaction.update({ content: t(locale, 'review.publicUnavailable'), components: [] }).catch(() => {});
+  }
+  
+  try {
+    const post = await reviewsChannel.send({ embeds: [buildPublicReviewEmbed(review, interaction.user)] });
     
+    // Remembered so a later change of rating can edit the post
+    const publicPost = { channelId: post.channelId, messageId: post.id };
+    reviews.set(orderId, { ...review, public: true, publicPost });
+    await backendFor(guild).post(`/api/orders/${orderId}/review`, { ...review, public: true })
+      .catch(e => console.warn(`⚠️ Could not update review consent on backend:`, e.message));
+    
+    await interaction.update({ content: t(locale, 'review.shared'), components: [] });
   } catch (error) {
-    const errorMsg = error.response?.data?.message || error.response?.data?.error || error.message || 'Unknown error';
-    console.error('❌ Complete order error:', errorMsg, error.response?.data);
-    await interaction.editReply({
-      content: `❌ Failed to complete order: ${errorMsg}`
-    });
+    console.error('❌ Review publish error:', error.message);
+    await interaction.update({ content: t(locale, 'review.shareError'), components: [] }).catch(() => {});
   }
 }
 
-async function handleStatusCommand(interaction) {
-  const orderId = interaction.options.getString('order_id');
+// ============================================================
+// STATS - /stats revenue, volume and staff performance
+// ============================================================
+
+// Orders in these statuses don't count towards revenue
+const NON_REVENUE_STATUSES = ['CANCELLED', 'REFUNDED'];
+
+function formatDuration(ms) {
+  const totalMinutes = Math.round(ms / 60000);
+  const days = Math.floor(totalMinutes / 1440);
+  const hours = Math.floor((totalMinutes % 1440) / 60);
+  const minutes = totalMinutes % 60;
+  return [days && `${days}d`, hours && `${hours}h`, `${minutes}m`].filter(Boolean).join(' ');
+}
+
+function getOrderTotal(order) {
+  return Number(order.total ?? order.totalPaid ?? 0) || 0;
+}
+
+function getOrderProducts(order) {
+  if (order.orderItems?.length > 0) {
+    return order.orderItems.map(item => ({
+      name: item.product?.name || item.productName || item.name || 'Product',
+      quantity: Number(item.quantity || 1)
+    }));
+  }
+  return [{ name: getProductName(order, order.orderId), quantity: 1 }];
+}
+
+/**
+ * Sort a { key: count } tally and render the top entries one per line
+ */
+function formatTally(tally, limit = 5, format = (key, count) => `**${key}** — ${count}`) {
+  const entries = Object.entries(tally).sort(([, a], [, b]) => b - a);
+  if (entries.length === 0) return 'None';
+  const lines = entries.slice(0, limit).map(([key, count]) => format(key, count));
+  if (entries.length > limit) lines.push(`…and ${entries.length - limit} more`);
+  return truncateText(lines.join('\n'), EMBED_LIMITS.fieldValue);
+}
+
+function resolveStatsPeriod(period, fromLabel, toLabel) {
+  const now = new Date();
+  const startOfToday = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+  
+  if (period === 'today') return { from: startOfToday, to: now.getTime(), label: 'Today (UTC)' };
+  if (period === '7d') return { from: now.getTime() - 7 * 86400000, to: now.getTime(), label: 'Last 7 days' };
+  if (period === '30d') return { from: now.getTime() - 30 * 86400000, to: now.getTime(), label: 'Last 30 days' };
+  
+  const from = parseDateOption(fromLabel);
+  const to = toLabel ? parseDateOption(toLabel, true) : now.getTime();
+  if (!from || Number.isNaN(from) || Number.isNaN(to)) {
+    return { error: 'Custom periods need `from` (and optionally `to`) in YYYY-MM-DD format.' };
+  }
+  return { from, to, label: `${fromLabel} → ${toLabel || 'now'}` };
+}
+
+function computeStats(orders) {
+  const stats = {
+    orderCount: orders.length,
+    revenue: 0,
+    refunded: 0,
+    byStatus: {},
+    deliveriesByStaff: {},
+    promoCodes: {},
+    affiliates: {},
+    products: {},
+    deliveryTimes: [],
+    slaBreaches: 0,
+    ratings: { sum: 0, count: 0 },
+    ratingsByStaff: {}
+  };
+  
+  for (const order of orders) {
+    const status = order.status || 'PENDING';
+    stats.byStatus[status] = (stats.byStatus[status] || 0) + 1;
+    
+    if (NON_REVENUE_STATUSES.includes(status)) {
+      if (status === 'REFUNDED') stats.refunded += getOrderTotal(order);
+    } else {
+      stats.revenue += getOrderTotal(order);
+      for (const product of getOrderProducts(order)) {
+        stats.products[product.name] = (stats.products[product.name] || 0) + product.quantity;
+      }
+    }
+    
+    if (status === 'DELIVERED') {
+      if (order.completedBy) {
+        stats.deliveriesByStaff[order.completedBy] = (stats.deliveriesByStaff[order.completedBy] || 0) + 1;
+      }
+      const deliveryMs = Date.parse(order.completedAt) - Date.parse(order.createdAt);
+      if (deliveryMs >= 0) stats.deliveryTimes.push(deliveryMs);
+    }
+    
+    const promoCode = order.discountCode || order.promoCode || order.couponCode;
+    if (promoCode) stats.promoCodes[promoCode] = (stats.promoCodes[promoCode] || 0) + 1;
+    if (order.affiliateCode) stats.affiliates[order.affiliateCode] = (stats.affiliates[order.affiliateCode] || 0) + 1;
+    
+    stats.slaBreaches += (slaBreaches.get(order.orderId) || []).length;
+    
+    const review = reviews.get(order.orderId) || order.review;
+    if (review?.rating) {
+      stats.ratings.sum += review.rating;
+      stats.ratings.count++;
+      const staffId = review.staffId || order.completedBy;
+      if (staffId) {
+        const staffRatings = stats.ratingsByStaff[staffId] || { sum: 0, count: 0 };
+        stats.ratingsByStaff[staffId] = { sum: staffRatings.sum + review.rating, count: staffRatings.count + 1 };
+      }
+    }
+  }
+  
+  stats.averageDeliveryMs = stats.deliveryTimes.length > 0
+    ? stats.deliveryTimes.reduce((sum, ms) => sum + ms, 0) / stats.deliveryTimes.length
+    : null;
+  
+  return stats;
+}
+
+function toCsvValue(value) {
+  const str = value === undefined || value === null ? '' : String(value);
+  return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+function buildStatsCsv(orders) {
+  const header = ['order_id', 'created_at', 'status', 'total', 'promo_code', 'affiliate_code', 'assigned_to', 'completed_by', 'completed_at', 'delivery_minutes', 'rating', 'products'];
+  const rows = orders.map(order => {
+    const deliveryMs = Date.parse(order.completedAt) - Date.parse(order.createdAt);
+    return [
+      order.orderId,
+      order.createdAt,
+      order.status,
+      getOrderTotal(order).toFixed(2),
+      order.discountCode || order.promoCode || order.couponCode,
+      order.affiliateCode,
+      order.assignedTo || orderAssignments.get(order.orderId)?.staffId,
+      order.completedBy,
+      order.completedAt,
+      deliveryMs >= 0 ? Math.round(deliveryMs / 60000) : '',
+      (reviews.get(order.orderId) || order.review)?.rating,
+      getOrderProducts(order).map(p => `${p.name} x${p.quantity}`).join('; ')
+    ].map(toCsvValue).join(',');
+  });
+  return [header.join(','), ...rows].join('\n');
+}
+
+async function handleStatsCommand(interaction) {
+  const period = resolveStatsPeriod(
+    interaction.options.getString('period'),
+    interaction.options.getString('from'),
+    interaction.options.getString('to')
+  );
+  if (period.error) {
+    return await interaction.reply({ content: `❌ ${period.error}`, ephemeral: true });
+  }
+  
   await interaction.deferReply({ ephemeral: true });
   
   try {
-    const response = await axios.get(`${BACKEND_URL}/api/orders/${orderId}`);
-    const order = response.data;
+    const { orders, truncated } = await fetchOrders(interaction.guild, { from: period.from, to: period.to });
+    const stats = computeStats(orders);
+    const currency = getGuildConfig(interaction.guild)?.currency;
     
     const embed = new EmbedBuilder()
-      .setColor(order.status === 'DELIVERED' ? 0x00FF00 : 0xFFAA00)
-      .setTitle(`Order Status: ${orderId}`)
+      .setTitle('📊 BloxBeam Stats')
+      .setDescription(truncated
+        ? `**${period.label}**\n⚠️ Only the first ${orders.length} orders could be loaded - figures are incomplete. Pick a shorter period.`
+        : `**${period.label}**`)
+      .setColor(0x3DFF88)
       .addFields(
-        { name: 'Status', value: order.status || 'PENDING', inline: true },
-        { name: 'Roblox', value: order.robloxUsername || 'Not set', inline: true },
-        { name: 'Discord', value: order.discordId ? 'Linked' : 'Not linked', inline: true }
+        { name: '📦 Orders', value: String(stats.orderCount), inline: true },
+        { name: '💰 Revenue', value: formatPrice(stats.revenue, DEFAULT_LOCALE, currency), inline: true },
+        { name: '💸 Refunded', value: formatPrice(stats.refunded, DEFAULT_LOCALE, currency), inline: true },
+        { name: '⏱️ Avg Time to Delivery', value: stats.averageDeliveryMs === null ? 'N/A' : formatDuration(stats.averageDeliveryMs), inline: true },
+        { name: '⏰ SLA Breaches', value: String(stats.slaBreaches), inline: true },
+        { name: '📋 By Status', value: formatTally(stats.byStatus, 10), inline: true },
+        { name: '👨‍💼 Deliveries by Staff', value: formatTally(stats.deliveriesByStaff, 10, (id, count) => `<@${id}> — ${count}`), inline: false },
+        { name: '⭐ Avg Rating', value: stats.ratings.count > 0 ? `${(stats.ratings.sum / stats.ratings.count).toFixed(2)} / 5 (${stats.ratings.count} reviews)` : 'No reviews', inline: true },
+        {
+          name: '⭐ Rating by Staff',
+          value: formatTally(
+            Object.fromEntries(Object.entries(stats.ratingsByStaff).map(([id, r]) => [id, r.sum / r.count])),
+            10,
+            (id, average) => `<@${id}> — ${average.toFixed(2)} (${stats.ratingsByStaff[id].count})`
+          ),
+          inline: true
+        },
+        { name: '🏆 Top Products', value: formatTally(stats.products), inline: false },
+        { name: '🎟️ Promo Codes', value: formatTally(stats.promoCodes, 5, (code, count) => `\`${code}\` — ${count}`), inline: true },
+        { name: '👥 Affiliates', value: formatTally(stats.affiliates, 5, (code, count) => `\`${code}\` — ${count}`), inline: true }
       )
+      .setFooter({ text: `Requested by ${interaction.user.tag}` })
       .setTimestamp();
     
-    await interaction.editReply({ embeds: [embed] });
+    const files = [];
+    if (interaction.options.getBoolean('csv')) {
+      files.push(new AttachmentBuilder(Buffer.from(buildStatsCsv(orders), 'utf8'), { name: `bloxbeam-stats-${new Date().toISOString().slice(0, 10)}.csv` }));
+    }
+    
+    await interaction.editReply({ embeds: [embed], files });
   } catch (error) {
-    await interaction.editReply({ content: `❌ Order not found: ${orderId}` });
+    const errorMsg = error.response?.data?.message || error.response?.data?.error || error.message || 'Unknown error';
+    console.error('❌ Stats error:', errorMsg);
+    await interaction.editReply({ content: `❌ Could not build stats: ${errorMsg}` });
   }
 }
 
@@ -1033,33 +5260,16 @@ async function handleStatusCommand(interaction) {
 // NOTIFY CUSTOMER - Send message to customer's private thread
 // ============================================================
 
-async function handleNotifyCustomer(interaction) {
-  const orderId = interaction.options.getString('order_id');
-  const message = interaction.options.getString('message');
-  
+async function handleNotifyCustomer(interaction, orderId, message) {
   await interaction.deferReply({ ephemeral: true });
   
   try {
-    const guild = client.guilds.cache.get(SERVER_ID);
-    const orderSuffix6 = orderId.slice(-6).toUpperCase();
-    
-    // Find claim-here channel
-    const claimHereChannel = CLAIM_HERE_CHANNEL_ID
-      ? guild.channels.cache.get(CLAIM_HERE_CHANNEL_ID)
-      : guild.channels.cache.find(ch => ch.name.includes('claim-here') && ch.type === ChannelType.GuildText);
-    
-    if (!claimHereChannel) {
-      return await interaction.editReply({ content: '❌ claim-here channel not found' });
-    }
+    const guild = interaction.guild;
     
     let sent = false;
     
     try {
-      const activeThreads = await claimHereChannel.threads.fetchActive();
-      const archivedThreads = await claimHereChannel.threads.fetchArchived();
-      
-      const allThreads = [...activeThreads.threads.values(), ...archivedThreads.threads.values()];
-      const orderThread = allThreads.find(t => t.name.includes(orderSuffix6));
+      const orderThread = await findOrderThread(guild, orderId);
       
       if (orderThread) {
         // Unarchive if needed
@@ -1071,7 +5281,7 @@ async function handleNotifyCustomer(interaction) {
         await orderThread.send({
           embeds: [{
             title: '📨 Message from Staff',
-            description: message,
+            description: truncateText(message, EMBED_LIMITS.description),
             color: 0x5865F2,
             footer: { text: `From: ${interaction.user.tag}` },
             timestamp: new Date().toISOString()
@@ -1096,12 +5306,16 @@ async function handleNotifyCustomer(interaction) {
       console.warn(`⚠️ Error searching threads:`, e.message);
     }
     
-    if (!sent) {
+    if (sent) {
+      recordAudit(guild, interaction.user, 'notify_customer', { orderId, details: { Message: message } });
+    } else {
+      recordAudit(guild, interaction.user, 'notify_customer', { orderId, outcome: 'error', details: { Message: message }, error: 'Order thread not found' });
       await interaction.editReply({ content: `❌ Could not find order thread for ${orderId}` });
     }
     
   } catch (error) {
     console.error('❌ Notify customer error:', error.message);
+    recordAudit(interaction.guild, interaction.user, 'notify_customer', { orderId, outcome: 'error', details: { Message: message }, error: error.message });
     await interaction.editReply({ content: `❌ Error: ${error.message}` });
   }
 }
@@ -1110,33 +5324,202 @@ async function handleNotifyCustomer(interaction) {
 // SEND SERVER LINK - Send private server link to customer
 // ============================================================
 
-async function handleSendServerLink(interaction) {
-  const orderId = interaction.options.getString('order_id');
-  const link = interaction.options.getString('link');
+const SERVER_LINK_TTL_MINUTES = Number(process.env.SERVER_LINK_TTL_MINUTES) || 120;
+const SERVER_LINK_EXPIRY_CHECK_INTERVAL = 60 * 1000;
+const ROBLOX_LINK_HOSTS = ['www.roblox.com', 'roblox.com', 'web.roblox.com'];
+const ROBLOX_LINK_CODE_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+// Why a link stopped working, as shown on the thread message (serverLink.revoked.* in the catalogs)
+const SERVER_LINK_REVOKE_REASONS = ['expired', 'replaced', 'delivered', 'cancelled', 'refunded'];
+
+// Links held back by the unverified-account warning (token -> { orderId, link, staffId, expiresAt })
+const pendingServerLinks = new Map();
+const PENDING_SERVER_LINK_TTL = 10 * 60 * 1000;
+
+/**
+ * Accepts Roblox share links (/share?code=...&type=Server) and game links with a
+ * privateServerLinkCode. Returns { url, label } with the URL rebuilt from its parts, or null.
+ */
+function parseRobloxServerLink(input) {
+  let url;
+  try {
+    url = new URL(String(input).trim());
+  } catch {
+    return null;
+  }
+  if (url.protocol !== 'https:' || !ROBLOX_LINK_HOSTS.includes(url.hostname)) return null;
+  
+  if (url.pathname.replace(/\/$/, '') === '/share') {
+    const code = url.searchParams.get('code');
+    if (!code || !ROBLOX_LINK_CODE_PATTERN.test(code) || url.searchParams.get('type') !== 'Server') return null;
+    return { url: `https://www.roblox.com/share?code=${code}&type=Server`, label: 'Private server share link' };
+  }
+  
+  const game = url.pathname.match(/^\/games\/(\d+)(?:\/([A-Za-z0-9_-]*))?\/?$/);
+  const code = url.searchParams.get('privateServerLinkCode');
+  if (!game || !code || !ROBLOX_LINK_CODE_PATTERN.test(code)) return null;
+  return {
+    url: `https://www.roblox.com/games/${game[1]}${game[2] ? `/${game[2]}` : ''}?privateServerLinkCode=${code}`,
+    label: `Private server for place ${game[1]}`
+  };
+}
+
+/**
+ * Thread message for a server link. The link itself is never in the message -
+ * the customer gets it ephemerally from the Reveal Link button.
+ */
+function buildServerLinkMessage(orderId, record, revokedReason = null) {
+  const locale = record.locale || DEFAULT_LOCALE;
+  return {
+    embeds: [{
+      title: t(locale, 'serverLink.title'),
+      description: revokedReason
+        ? t(locale, `serverLink.revoked.${SERVER_LINK_REVOKE_REASONS.includes(revokedReason) ? revokedReason : 'other'}`)
+        : t(locale, 'serverLink.description'),
+      color: revokedReason ? 0x99AAB5 : 0x3DFF88,
+      fields: revokedReason ? [] : [
+        { name: t(locale, 'serverLink.instructions'), value: t(locale, 'serverLink.instructionsValue') },
+        { name: t(locale, 'serverLink.expires'), value: `<t:${Math.floor(Date.parse(record.expiresAt) / 1000)}:R>`, inline: true }
+      ],
+      footer: { text: t(locale, 'serverLink.sentBy', { staff: record.sentByTag }) },
+      timestamp: record.sentAt
+    }],
+    components: [new ActionRowBuilder().addComponents(
+      new ButtonBuilder()
+        .setCustomId(`reveal_server_link_${orderId}`)
+        .setLabel(t(locale, 'serverLink.reveal'))
+        .setEmoji('🔗')
+        .setStyle(ButtonStyle.Success)
+        .setDisabled(Boolean(revokedReason))
+    )]
+  };
+}
+
+/**
+ * Stop a server link working: forget it locally and on the backend, and grey out its thread message
+ */
+async function revokeServerLink(guild, orderId, reason) {
+  const record = serverLinks.get(orderId);
+  if (!record) return false;
   
+  serverLinks.delete(orderId);
+  console.log(`🔒 Server link for ${orderId} revoked (${reason})`);
+  
+  await backendFor(guild).patch(`/api/orders/${orderId}`, {
+    privateServerLink: null,
+    privateServerLinkRevokedAt: new Date().toISOString()
+  }).catch(e => console.warn(`⚠️ Could not revoke server link on backend:`, e.message));
+  
+  try {
+    const thread = await guild.channels.fetch(record.threadId);
+    const message = await thread.messages.fetch(record.messageId);
+    await message.edit(buildServerLinkMessage(orderId, record, reason));
+  } catch (e) {
+    console.warn(`⚠️ Could not update server link message for ${orderId}:`, e.message);
+  }
+  return true;
+}
+
+async function expireServerLinks() {
+  const now = Date.now();
+  for (const [orderId, record] of serverLinks) {
+    const guild = getOrderGuild(orderId);
+    if (guild && Date.parse(record.expiresAt) <= now) {
+      await revokeServerLink(guild, orderId, 'expired');
+    }
+  }
+}
+
+async function handleRevealServerLink(interaction, orderId) {
+  const locale = getCustomerLocale(interaction.guild, { orderId, userId: interaction.user.id });
+  try {
+    if (await getOrderOwnerId(interaction.guild, orderId) !== interaction.user.id) {
+      return await interaction.reply({ content: t(locale, 'serverLink.notYourOrder'), ephemeral: true });
+    }
+    
+    const record = serverLinks.get(orderId);
+    if (!record || Date.parse(record.expiresAt) <= Date.now()) {
+      return await interaction.reply({ content: t(locale, 'serverLink.unavailable'), ephemeral: true });
+    }
+    
+    console.log(`🔗 ${interaction.user.tag} revealed the server link for ${orderId}`);
+    await interaction.reply({
+      embeds: [{
+        title: t(locale, 'serverLink.revealTitle'),
+        description: t(locale, 'serverLink.revealDescription'),
+        color: 0x3DFF88,
+        fields: [
+          { name: t(locale, 'serverLink.expires'), value: `<t:${Math.floor(Date.parse(record.expiresAt) / 1000)}:R>`, inline: true }
+        ]
+      }],
+      components: [new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+          .setLabel(t(locale, 'serverLink.join'))
+          .setEmoji('🎮')
+          .setStyle(ButtonStyle.Link)
+          .setURL(record.link)
+      )],
+      ephemeral: true
+    });
+  } catch (error) {
+    console.error('❌ Reveal server link error:', error.message);
+    await interaction.reply({ content: t(locale, 'serverLink.revealError'), ephemeral: true }).catch(() => {});
+  }
+}
+
+async function handleSendServerLink(interaction, orderId, link, { confirmed = false } = {}) {
   await interaction.deferReply({ ephemeral: true });
   
   try {
-    const guild = client.guilds.cache.get(SERVER_ID);
-    const orderSuffix6 = orderId.slice(-6).toUpperCase();
+    const guild = interaction.guild;
     
-    // Find claim-here channel
-    const claimHereChannel = CLAIM_HERE_CHANNEL_ID
-      ? guild.channels.cache.get(CLAIM_HERE_CHANNEL_ID)
-      : guild.channels.cache.find(ch => ch.name.includes('claim-here') && ch.type === ChannelType.GuildText);
+    const serverLink = parseRobloxServerLink(link);
+    if (!serverLink) {
+      recordAudit(guild, interaction.user, 'send_server_link', { orderId, outcome: 'error', details: { Link: link }, error: 'Not a Roblox private server link' });
+      return await interaction.editReply({
+        content: '❌ That isn\'t a Roblox private server link. Use a share link (`https://www.roblox.com/share?code=...&type=Server`) or a game link with `privateServerLinkCode`.'
+      });
+    }
     
-    if (!claimHereChannel) {
-      return await interaction.editReply({ content: '❌ claim-here channel not found' });
+    // Delivering to the wrong account can't be undone - make staff confirm first
+    if (!confirmed) {
+      const verification = await getOrderRobloxVerification(guild, orderId);
+      if (verification?.status !== 'verified') {
+        const now = Date.now();
+        for (const [token, pending] of pendingServerLinks) {
+          if (pending.expiresAt <= now) pendingServerLinks.delete(token);
+        }
+        const token = crypto.randomBytes(8).toString('hex');
+        pendingServerLinks.set(token, { orderId, link: serverLink.url, staffId: interaction.user.id, expiresAt: now + PENDING_SERVER_LINK_TTL });
+        
+        return await interaction.editReply({
+          embeds: [{
+            title: '⚠️ Roblox Account Not Verified',
+            description: verification?.status === 'error'
+              ? 'Roblox could not be reached to verify this customer\'s account.'
+              : 'This customer\'s Roblox account could not be verified. Ask them to run `/link-roblox` before delivering.',
+            color: 0xFFAA00,
+            fields: [
+              { name: 'Order', value: `\`${orderId}\``, inline: true },
+              { name: '🎮 Roblox', value: formatRobloxField(verification?.username, verification), inline: true }
+            ],
+            footer: { text: 'This confirmation expires in 10 minutes' }
+          }],
+          components: [new ActionRowBuilder().addComponents(
+            new ButtonBuilder()
+              .setCustomId(`confirm_server_link_${token}`)
+              .setLabel('Send Anyway')
+              .setEmoji('⚠️')
+              .setStyle(ButtonStyle.Danger)
+          )]
+        });
+      }
     }
     
     let sent = false;
     
     try {
-      const activeThreads = await claimHereChannel.threads.fetchActive();
-      const archivedThreads = await claimHereChannel.threads.fetchArchived();
-      
-      const allThreads = [...activeThreads.threads.values(), ...archivedThreads.threads.values()];
-      const orderThread = allThreads.find(t => t.name.includes(orderSuffix6));
+      const orderThread = await findOrderThread(guild, orderId);
       
       if (orderThread) {
         // Unarchive if needed
@@ -1144,20 +5527,27 @@ async function handleSendServerLink(interaction) {
           await orderThread.setArchived(false);
         }
         
-        // Send server link with prominent formatting
-        await orderThread.send({
-          embeds: [{
-            title: '🎮 PRIVATE SERVER LINK',
-            description: '**Click the link below to join the private server and receive your items!**',
-            color: 0x3DFF88,
-            fields: [
-              { name: '🔗 Server Link', value: link },
-              { name: '📝 Instructions', value: '1. Click the link above\n2. Join the private server\n3. Meet our staff member\n4. Claim your items!' }
-            ],
-            footer: { text: `Sent by: ${interaction.user.tag}` },
-            timestamp: new Date().toISOString()
-          }]
-        });
+        // Only one link works at a time
+        await revokeServerLink(guild, orderId, 'replaced');
+        
+        const record = {
+          link: serverLink.url,
+          label: serverLink.label,
+          sentBy: interaction.user.id,
+          sentByTag: interaction.user.tag,
+          sentAt: new Date().toISOString(),
+          expiresAt: new Date(Date.now() + SERVER_LINK_TTL_MINUTES * 60 * 1000).toISOString(),
+          threadId: orderThread.id,
+          // Kept so the revoked version of the message stays in the same language
+          locale: getCustomerLocale(guild, { orderId })
+        };
+        const linkMessage = await orderThread.send(buildServerLinkMessage(orderId, record));
+        serverLinks.set(orderId, { ...record, messageId: linkMessage.id });
+        
+        await backendFor(guild).patch(`/api/orders/${orderId}`, {
+          privateServerLink: serverLink.url,
+          privateServerLinkExpiresAt: record.expiresAt
+        }).catch(e => console.warn(`⚠️ Could not save server link to backend:`, e.message));
         
         sent = true;
         
@@ -1168,70 +5558,539 @@ async function handleSendServerLink(interaction) {
             color: 0x00FF00,
             fields: [
               { name: 'Order', value: orderId, inline: true },
-              { name: 'Link', value: link.substring(0, 50) + '...', inline: false }
+              { name: 'Expires', value: `<t:${Math.floor(Date.parse(record.expiresAt) / 1000)}:R>`, inline: true },
+              { name: 'Link', value: `[${serverLink.label}](${serverLink.url})`, inline: false }
             ]
-          }]
+          }],
+          components: []
         });
       }
     } catch (e) {
       console.warn(`⚠️ Error searching threads:`, e.message);
     }
     
-    if (!sent) {
+    // Staff who clicked "Send Anyway" overrode the unverified-account warning
+    const auditDetails = { Link: serverLink.url, 'Roblox account': confirmed ? 'Unverified - sent anyway' : null };
+    if (sent) {
+      recordAudit(guild, interaction.user, 'send_server_link', { orderId, details: auditDetails });
+    } else {
+      recordAudit(guild, interaction.user, 'send_server_link', { orderId, outcome: 'error', details: auditDetails, error: 'Order thread not found' });
       await interaction.editReply({ content: `❌ Could not find order thread for ${orderId}` });
     }
     
   } catch (error) {
     console.error('❌ Send server link error:', error.message);
+    recordAudit(interaction.guild, interaction.user, 'send_server_link', { orderId, outcome: 'error', details: { Link: link }, error: error.message });
     await interaction.editReply({ content: `❌ Error: ${error.message}` });
   }
 }
 
+async function handleConfirmServerLink(interaction, token) {
+  const pending = pendingServerLinks.get(token);
+  if (!pending || pending.expiresAt <= Date.now() || pending.staffId !== interaction.user.id) {
+    return await interaction.reply({ content: '❌ This confirmation has expired. Send the link again.', ephemeral: true }).catch(() => {});
+  }
+  pendingServerLinks.delete(token);
+  await handleSendServerLink(interaction, pending.orderId, pending.link, { confirmed: true });
+}
+
+// ============================================================
+// PAYLOAD SCHEMAS - Webhook validation and normalisation
+// ============================================================
+//
+// Rule types:
+//   string  - trimmed; `maxLength` errors unless `truncate`, `uppercase`/`lowercase`, `pattern`, `enum`
+//   number  - numeric strings accepted ("$1,299.00"); `integer`, `min`, `max`, `money` rounds to cents
+//   boolean - true/false or "true"/"false"
+//   date    - anything Date can parse, normalised to ISO 8601
+//   array   - `items` rule per element, `maxItems`
+//   object  - nested `schema`
+//   code    - a bare string or an object; normalised to an object via `schema` (bare string -> { code })
+// Every rule may set `required` and `default`. Undeclared keys are dropped.
+
+const DISCORD_ID_PATTERN = /^\d{17,20}$/;
+
+// Order IDs end up in button/modal customIds (100 chars max) behind prefixes like `message_customer_modal_`
+const orderIdRule = { type: 'string', required: true, maxLength: 60 };
+
+// Optional so an object carrying only a discount or an affiliate username still validates
+const couponCodeRule = { type: 'string', maxLength: 64, uppercase: true };
+
+const orderItemSchema = {
+  name: { type: 'string', maxLength: 200, truncate: true },
+  productName: { type: 'string', maxLength: 200, truncate: true },
+  product: { type: 'object', schema: { name: { type: 'string', maxLength: 200, truncate: true } } },
+  quantity: { type: 'number', integer: true, min: 1, default: 1 },
+  price: { type: 'number', money: true, min: 0, default: 0 }
+};
+
+const createTicketSchema = {
+  user_id: { type: 'string', required: true, pattern: DISCORD_ID_PATTERN },
+  order_id: orderIdRule,
+  email: { type: 'string', maxLength: 254 },
+  product: { type: 'string', maxLength: EMBED_LIMITS.fieldValue, truncate: true },
+  roblox_username: { type: 'string', maxLength: 50 },
+  stripe_payment_id: { type: 'string', maxLength: 255 },
+  order_items: { type: 'array', items: { type: 'object', schema: orderItemSchema }, maxItems: 100 },
+  total_paid: { type: 'number', money: true, min: 0 },
+  discount_amount: { type: 'number', money: true, min: 0 },
+  original_price: { type: 'number', money: true, min: 0 },
+  currency: { type: 'string', uppercase: true, pattern: /^[A-Z]{3}$/ },
+  locale: { type: 'string', maxLength: 35 }, // Buyer's site language; unsupported values fall back
+  order_date: { type: 'date' },
+  promo_code: {
+    type: 'code',
+    schema: {
+      code: couponCodeRule,
+      discount: { type: 'number', min: 0, max: 100 },
+      type: { type: 'string', lowercase: true, enum: ['percent', 'percentage', 'fixed'] }
+    }
+  },
+  affiliate_code: {
+    type: 'code',
+    schema: {
+      code: couponCodeRule,
+      username: { type: 'string', maxLength: 100, truncate: true },
+      discount: { type: 'number', min: 0, max: 100 }
+    }
+  },
+  rebuild: { type: 'boolean', default: false }
+};
+
+const orderUpdatedSchema = {
+  order_id: orderIdRule,
+  status: { type: 'string', maxLength: 32, uppercase: true },
+  email: { type: 'string', maxLength: 254 },
+  roblox_username: { type: 'string', maxLength: 50 },
+  total_paid: { type: 'number', money: true, min: 0 },
+  order_items: { type: 'array', items: { type: 'object', schema: orderItemSchema }, maxItems: 100 },
+  product: { type: 'string', maxLength: EMBED_LIMITS.fieldValue, truncate: true },
+  note: { type: 'string', maxLength: EMBED_LIMITS.fieldValue, truncate: true }
+};
+
+const orderClosedSchema = {
+  order_id: orderIdRule,
+  reason: { type: 'string', maxLength: EMBED_LIMITS.fieldValue, truncate: true, default: 'No reason provided' }
+};
+
+const robloxUsernameSchema = {
+  order_id: orderIdRule,
+  roblox_username: { type: 'string', required: true, maxLength: 50 },
+  previous_username: { type: 'string', maxLength: 50 }
+};
+
+const paymentDisputeSchema = {
+  order_id: orderIdRule,
+  dispute_id: { type: 'string', maxLength: 255 },
+  status: { type: 'string', maxLength: 64, lowercase: true },
+  reason: { type: 'string', maxLength: EMBED_LIMITS.fieldValue, truncate: true },
+  amount: { type: 'number', money: true, min: 0 },
+  evidence_due_by: { type: 'date' }
+};
+
+function validateValue(rule, value, field, errors) {
+  const fail = (message) => {
+    errors.push({ field, message });
+    return undefined;
+  };
+  
+  if (value === undefined || value === null || value === '') {
+    if (rule.required) return fail('is required');
+    return rule.default;
+  }
+  
+  switch (rule.type) {
+    case 'string': {
+      if (typeof value !== 'string' && typeof value !== 'number') return fail('must be a string');
+      let str = String(value).trim();
+      if (rule.maxLength && str.length > rule.maxLength) {
+        if (!rule.truncate) return fail(`must be at most ${rule.maxLength} characters`);
+        str = truncateText(str, rule.maxLength);
+      }
+      if (rule.uppercase) str = str.toUpperCase();
+      if (rule.lowercase) str = str.toLowerCase();
+      if (rule.pattern && !rule.pattern.test(str)) return fail('has an invalid format');
+      if (rule.enum && !rule.enum.includes(str)) return fail(`must be one of: ${rule.enum.join(', ')}`);
+      return str;
+    }
+    case 'number': {
+      const num = typeof value === 'number' ? value : Number(String(value).replace(/[$,\s]/g, ''));
+      if (typeof value === 'boolean' || !Number.isFinite(num)) return fail('must be a number');
+      if (rule.integer && !Number.isInteger(num)) return fail('must be a whole number');
+      if (rule.min !== undefined && num < rule.min) return fail(`must be at least ${rule.min}`);
+      if (rule.max !== undefined && num > rule.max) return fail(`must be at most ${rule.max}`);
+      return rule.money ? Math.round(num * 100) / 100 : num;
+    }
+    case 'boolean': {
+      if (value === true || value === 'true') return true;
+      if (value === false || value === 'false') return false;
+      return fail('must be true or false');
+    }
+    case 'date': {
+      const date = new Date(value);
+      if (typeof value === 'boolean' || Number.isNaN(date.getTime())) return fail('must be a valid date');
+      return date.toISOString();
+    }
+    case 'array': {
+      if (!Array.isArray(value)) return fail('must be an array');
+      if (rule.maxItems && value.length > rule.maxItems) return fail(`must have at most ${rule.maxItems} items`);
+      return value.map((item, i) => {
+        // An element can't be "absent" like an optional key - null is a malformed item
+        if (item === null || item === undefined) {
+          errors.push({ field: `${field}[${i}]`, message: `must be ${rule.items.type === 'object' ? 'an object' : `a ${rule.items.type}`}` });
+          return undefined;
+        }
+        return validateValue(rule.items, item, `${field}[${i}]`, errors);
+      });
+    }
+    case 'object': {
+      if (typeof value !== 'object' || Array.isArray(value)) return fail('must be an object');
+      return validateObject(rule.schema, value, field, errors);
+    }
+    case 'code': {
+      if (typeof value === 'string' || typeof value === 'number') {
+        return validateObject(rule.schema, { code: value }, field, errors);
+      }
+      if (typeof value !== 'object' || Array.isArray(value)) return fail('must be a string or an object');
+      return validateObject(rule.schema, value, field, errors);
+    }
+    default:
+      throw new Error(`Unknown schema rule type: ${rule.type}`);
+  }
+}
+
+function validateObject(schema, obj, prefix, errors) {
+  const result = {};
+  for (const [key, rule] of Object.entries(schema)) {
+    const value = validateValue(rule, obj[key], prefix ? `${prefix}.${key}` : key, errors);
+    if (value !== undefined) result[key] = value;
+  }
+  return result;
+}
+
+/**
+ * Express middleware: replace req.body with the normalised payload or answer 422
+ */
+function validateBody(schema) {
+  return (req, res, next) => {
+    const errors = [];
+    const body = req.body && typeof req.body === 'object' && !Array.isArray(req.body) ? req.body : null;
+    if (!body) {
+      errors.push({ field: '(body)', message: 'must be a JSON object' });
+    }
+    const value = body ? validateObject(schema, body, '', errors) : null;
+    
+    if (errors.length > 0) {
+      console.warn(`⚠️ Invalid ${req.path} payload:`, errors.map(e => `${e.field} ${e.message}`).join('; '));
+      return res.status(422).json({ error: 'Invalid payload', errors });
+    }
+    
+    req.body = value;
+    next();
+  };
+}
+
+// ============================================================
+// WEBHOOK IDEMPOTENCY - Backend retries must not rebuild threads
+// ============================================================
+
+// How long a finished delivery is remembered
+const IDEMPOTENCY_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+function pruneTicketDeliveries() {
+  const cutoff = Date.now() - IDEMPOTENCY_RETENTION_MS;
+  for (const [orderId, delivery] of ticketDeliveries) {
+    if (Date.parse(delivery.receivedAt) < cutoff) ticketDeliveries.delete(orderId);
+  }
+  for (const [key, entry] of idempotencyKeys) {
+    if (Date.parse(entry.receivedAt) < cutoff) idempotencyKeys.delete(key);
+  }
+  for (const [key, entry] of lifecycleDeliveries) {
+    if (Date.parse(entry.receivedAt) < cutoff) lifecycleDeliveries.delete(key);
+  }
+}
+
+/**
+ * Decide what to do with a create-ticket delivery.
+ * Returns { action: 'process' } or { action: 'respond', status, body }.
+ */
+function checkTicketDelivery(orderId, idempotencyKey, rebuild) {
+  pruneTicketDeliveries();
+  
+  if (idempotencyKey) {
+    const keyEntry = idempotencyKeys.get(idempotencyKey);
+    if (keyEntry && keyEntry.orderId !== orderId) {
+      return { action: 'respond', status: 409, body: { error: 'Idempotency-Key was already used for a different order' } };
+    }
+  }
+  
+  const delivery = ticketDeliveries.get(orderId);
+  if (!delivery) {
+    return { action: 'process' };
+  }
+  
+  // Rebuilds wait too - two at once would race each other on the thread
+  const inProgress = delivery.status === 'processing' && Date.now() - Date.parse(delivery.receivedAt) < THREAD_LOCK_TTL;
+  if (inProgress) {
+    return { action: 'respond', status: 409, body: { error: 'Order is already being processed' } };
+  }
+  // A delivery still marked processing after the lock TTL died mid-way - let the retry run
+  if (delivery.status === 'processing') {
+    return { action: 'process' };
+  }
+  // A rebuild runs again unless it is the retry of the one already done under this key
+  if (rebuild && !(idempotencyKey && delivery.idempotencyKey === idempotencyKey)) {
+    return { action: 'process' };
+  }
+  
+  return {
+    action: 'respond',
+    status: 200,
+    body: {
+      success: true,
+      duplicate: true,
+      // Thread may have been created since (customer joined later)
+      customerThreadId: orderThreads.get(orderId)?.threadId || delivery.customerThreadId || null
+    }
+  };
+}
+
+function startTicketDelivery(orderId, idempotencyKey) {
+  const receivedAt = new Date().toISOString();
+  ticketDeliveries.set(orderId, { status: 'processing', customerThreadId: null, idempotencyKey, receivedAt });
+  if (idempotencyKey) {
+    idempotencyKeys.set(idempotencyKey, { orderId, receivedAt });
+  }
+}
+
+function finishTicketDelivery(orderId, customerThreadId) {
+  const delivery = ticketDeliveries.get(orderId);
+  ticketDeliveries.set(orderId, { ...delivery, status: 'done', customerThreadId: customerThreadId || null });
+}
+
+function failTicketDelivery(orderId) {
+  const delivery = ticketDeliveries.get(orderId);
+  if (delivery?.status === 'processing') {
+    ticketDeliveries.delete(orderId);
+    if (delivery.idempotencyKey) idempotencyKeys.delete(delivery.idempotencyKey);
+  }
+}
+
+/**
+ * Express middleware for the lifecycle webhooks: a retried delivery gets the
+ * first response back instead of re-posting notices and DMs.
+ * With an Idempotency-Key the key identifies the delivery; without one, a
+ * payload identical to the last one for the order is treated as its retry
+ * (so a status that flips back and forth still goes through each time).
+ */
+function dedupeLifecycleWebhook(route) {
+  return (req, res, next) => {
+    pruneTicketDeliveries();
+    
+    const orderId = req.body.order_id;
+    const idempotencyKey = req.headers['idempotency-key'] || null;
+    const key = idempotencyKey ? `${route}:key:${idempotencyKey}` : `${route}:order:${orderId}`;
+    const fingerprint = crypto.createHash('sha256').update(JSON.stringify(req.body)).digest('hex');
+    
+    const delivery = lifecycleDeliveries.get(key);
+    if (delivery && idempotencyKey && delivery.orderId !== orderId) {
+      return res.status(409).json({ error: 'Idempotency-Key was already used for a different order' });
+    }
+    if (delivery && (idempotencyKey || delivery.fingerprint === fingerprint)) {
+      // A delivery still marked processing after the lock TTL died mid-way - let the retry run
+      if (delivery.status === 'processing' && Date.now() - Date.parse(delivery.receivedAt) < THREAD_LOCK_TTL) {
+        return res.status(409).json({ error: 'Order is already being processed' });
+      }
+      if (delivery.status === 'done') {
+        console.log(`🔁 Duplicate ${route} for ${orderId}, skipping`);
+        return res.json({ ...delivery.response, duplicate: true });
+      }
+    }
+    
+    lifecycleDeliveries.set(key, { orderId, fingerprint, status: 'processing', response: null, receivedAt: new Date().toISOString() });
+    
+    // Remember the answer once the handler has one; failures are forgotten so the retry runs again
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      if (res.statusCode < 400) {
+        lifecycleDeliveries.set(key, { ...lifecycleDeliveries.get(key), status: 'done', response: body });
+      } else {
+        lifecycleDeliveries.delete(key);
+      }
+      return json(body);
+    };
+    next();
+  };
+}
+
+// ============================================================
+// HEALTH - Liveness and readiness for the host
+// ============================================================
+
+const BACKEND_CHECK_TIMEOUT = 5000;
+// Probes run every few seconds - don't hit the backend that often
+const BACKEND_CHECK_CACHE_MS = 15000;
+
+// backendUrl -> { result: { ok, detail }, checkedAt }
+const backendChecks = new Map();
+
+/**
+ * Any HTTP answer below 500 means the backend is up, whatever the route returns
+ */
+async function checkBackend({ backendUrl }) {
+  const cached = backendChecks.get(backendUrl);
+  if (cached && Date.now() - cached.checkedAt < BACKEND_CHECK_CACHE_MS) return cached.result;
+  
+  const startedAt = Date.now();
+  // Plain axios - an unauthenticated probe carries no secret
+  const result = await axios.head(backendUrl, { timeout: BACKEND_CHECK_TIMEOUT, validateStatus: status => status < 500 })
+    .then(() => ({ ok: true, detail: `Reachable (${Date.now() - startedAt}ms)` }))
+    .catch(e => ({ ok: false, detail: e.response ? `HTTP ${e.response.status}` : e.code || e.message }));
+  backendChecks.set(backendUrl, { result, checkedAt: Date.now() });
+  return result;
+}
+
+function checkGuild(config) {
+  const checks = [];
+  const store = config.storeId;
+  const guild = client.guilds.cache.get(config.guildId);
+  checks.push({ check: 'guild', store, ok: Boolean(guild), detail: guild ? guild.name : `Bot is not in server ${config.guildId}` });
+  if (!guild) return checks;
+  
+  // Staff role and #claim-here are required; other settings only fail when they point at something deleted
+  const problems = [
+    ...findBrokenSettings(guild).map(key => `${SETTINGS[key].label} no longer exists`),
+    ...['staffRole', 'claimHereChannel'].filter(key => !resolveSetting(guild, key)).map(key => `${SETTINGS[key].label} not set or not found`)
+  ];
+  checks.push({ check: 'settings', store, ok: problems.length === 0, detail: problems.length > 0 ? [...new Set(problems)].join('; ') : 'All resolve' });
+  
+  const claimHereChannel = resolveSetting(guild, 'claimHereChannel');
+  if (claimHereChannel) {
+    const missing = guild.members.me?.permissionsIn(claimHereChannel).missing(CLAIM_HERE_PERMISSIONS) || ['bot member not cached'];
+    checks.push({ check: 'claimHerePermissions', store, ok: missing.length === 0, detail: missing.length > 0 ? `Missing ${missing.join(', ')}` : 'OK' });
+  }
+  return checks;
+}
+
+/**
+ * Why webhooks for a store can't be handled right now, or null when they can.
+ * The core of the readiness checks - an unknown store is left to verifyWebhook.
+ */
+function whyWebhooksHeld(store) {
+  if (!botReady) return 'Setting up';
+  if (client.ws.status !== Status.Ready) return `Gateway ${Status[client.ws.status] || 'not connected'}`;
+  if (store && !client.guilds.cache.has(store.guildId)) return `Bot is not in server ${store.guildId}`;
+  return null;
+}
+
+/**
+ * Every readiness check, with whether it passed and why
+ */
+async function runReadinessChecks() {
+  const connected = client.ws.status === Status.Ready;
+  const checks = [
+    { check: 'gateway', ok: connected, detail: connected ? `Connected (ping ${client.ws.ping}ms)` : Status[client.ws.status] || 'Not logged in' },
+    { check: 'startup', ok: botReady, detail: botReady ? 'Setup complete' : 'Setting up' }
+  ];
+  
+  for (const config of guildConfigs.values()) {
+    // The guild cache can't be trusted while disconnected
+    if (connected) checks.push(...checkGuild(config));
+    checks.push({ check: 'backend', store: config.storeId, ...await checkBackend(config) });
+  }
+  return checks;
+}
+
 // ============================================================
 // WEBHOOK SERVER
 // ============================================================
 
-const app = express();
-app.use(express.json());
+// Webhook routes as metric labels - any other path is counted as 'other'
+const WEBHOOK_ROUTES = new Set(['/create-ticket', '/order-updated', '/order-cancelled', '/order-refunded', '/roblox-username-changed', '/payment-dispute']);
 
-app.post('/webhook/create-ticket', async (req, res) => {
-  try {
-    // Verify webhook secret
-    const webhookSecret = req.headers['x-webhook-secret'];
-    const expectedSecret = process.env.INTERNAL_WEBHOOK_SECRET || process.env.DISCORD_BOT_TOKEN;
-    if (!webhookSecret || webhookSecret !== expectedSecret) {
-      console.warn('⚠️ Unauthorized webhook request rejected');
-      return res.status(401).json({ error: 'Unauthorized' });
+const app = express();
+app.use(express.json({
+  // Keep the exact bytes for HMAC verification
+  verify: (req, res, buf) => { req.rawBody = buf; }
+}));
+app.use('/webhook', (req, res, next) => {
+  const route = WEBHOOK_ROUTES.has(req.path) ? req.path : 'other';
+  incrementMetric('bloxbeam_webhooks_received_total', { route });
+  res.on('finish', () => {
+    // Held deliveries are retried - counting them as failures would alert on every restart
+    if (res.locals.webhookHeld) {
+      incrementMetric('bloxbeam_webhooks_held_total', { route });
+    } else if (res.statusCode >= 500) {
+      incrementMetric('bloxbeam_webhooks_failed_total', { route });
+    } else if (res.statusCode >= 400) {
+      incrementMetric('bloxbeam_webhooks_rejected_total', { route, status: res.statusCode });
     }
+  });
+  next();
+});
+app.use('/webhook', (req, res, next) => {
+  // Backend retries 5xx - better than a 500 from a bot that can't act on it.
+  // Checked before the signature so a held request can be retried with the same one.
+  const reason = whyWebhooksHeld(findWebhookStore(req).store);
+  if (reason) {
+    console.warn(`⏳ Webhook held (${reason}): ${req.path}`);
+    res.locals.webhookHeld = true;
+    return res.status(503).set('Retry-After', '30').json({ error: 'Bot is not ready', reason });
+  }
+  next();
+});
+app.use('/webhook', verifyWebhook);
 
+app.post('/webhook/create-ticket', validateBody(createTicketSchema), async (req, res) => {
+  try {
     console.log('🎯 Webhook received:', JSON.stringify(req.body, null, 2));
     
     const { user_id, order_id, email, product, roblox_username, stripe_payment_id, order_items, total_paid, discount_amount, original_price, order_date, promo_code, affiliate_code } = req.body;
+    const locale = normalizeLocale(req.body.locale);
+    const currency = req.body.currency || getGuildConfig(req.store.guildId)?.currency || DEFAULT_CURRENCY;
     
-    if (!user_id || !order_id) {
-      return res.status(400).json({ error: 'Missing user_id or order_id' });
+    // Retries of the same order (or Idempotency-Key) get the original result, no Discord side effects
+    const idempotencyKey = req.headers['idempotency-key'] || null;
+    const rebuild = req.body.rebuild;
+    const deliveryCheck = checkTicketDelivery(order_id, idempotencyKey, rebuild);
+    if (deliveryCheck.action === 'respond') {
+      console.log(`🔁 Duplicate create-ticket for ${order_id} (${deliveryCheck.status}), skipping`);
+      return res.status(deliveryCheck.status).json(deliveryCheck.body);
     }
+    if (rebuild) {
+      console.log(`🔨 Rebuild requested for ${order_id}`);
+    }
+    startTicketDelivery(order_id, idempotencyKey);
+    
+    // promo_code / affiliate_code arrive as string or object; the schema normalises both to objects
+    const promoCodeStr = promo_code?.code;
+    const promoDiscount = promo_code?.discount ?? null;
+    const promoType = promo_code?.type ?? null;
+    const affiliateCodeStr = affiliate_code?.code;
+    const affiliateName = affiliate_code?.username ?? null;
+    const affiliateDiscount = affiliate_code?.discount ?? null;
     
-    // Parse promo_code - can be string or object {code, discount, type}
-    const promoCodeStr = typeof promo_code === 'object' ? promo_code?.code : promo_code;
-    const promoDiscount = typeof promo_code === 'object' ? promo_code?.discount : null;
-    const promoType = typeof promo_code === 'object' ? promo_code?.type : null;
-    // Parse affiliate_code - can be string or object {code, username, discount}
-    const affiliateCodeStr = typeof affiliate_code === 'object' ? affiliate_code?.code : affiliate_code;
-    const affiliateName = typeof affiliate_code === 'object' ? affiliate_code?.username : null;
-    const affiliateDiscount = typeof affiliate_code === 'object' ? affiliate_code?.discount : null;
+    const guildId = req.store.guildId;
+    trackOpenOrder(order_id, {
+      guildId,
+      userId: user_id,
+      robloxUsername: roblox_username || null,
+      itemSummary: order_items?.length ? summariseItems(order_items) : (product || null),
+      status: 'PROCESSING',
+      locale,
+      currency,
+      createdAt: order_date || new Date().toISOString()
+    });
     
     // Store order
-    activeOrders.set(order_id, { user_id, email, product, roblox_username, discountCode: promoCodeStr, promoDiscount, promoType, affiliateCode: affiliateCodeStr, affiliateName, affiliateDiscount });
+    activeOrders.set(order_id, { guildId, user_id, email, product, roblox_username, discountCode: promoCodeStr, promoDiscount, promoType, affiliateCode: affiliateCodeStr, affiliateName, affiliateDiscount, locale, currency });
     
     // Save Discord ID to database
-    await axios.patch(`${BACKEND_URL}/api/orders/${order_id}`, {
+    await backendFor(guildId).patch(`/api/orders/${order_id}`, {
       discordId: String(user_id)
-    }, {
-      headers: { 'X-Webhook-Secret': WEBHOOK_SECRET }
     }).catch(() => {});
     
-    const guild = client.guilds.cache.get(SERVER_ID);
+    const guild = client.guilds.cache.get(guildId);
     if (!guild) throw new Error('Bot is not in server');
     
     // Check if user is in server
@@ -1256,93 +6115,41 @@ app.post('/webhook/create-ticket', async (req, res) => {
         affiliateDiscount: affiliateDiscount,
         stripePaymentId: stripe_payment_id,
         originalPrice: original_price || 0,
+        locale,
+        currency,
         status: 'PROCESSING',
         createdAt: order_date ? new Date(order_date) : new Date()
       };
       
       const customerThread = await createCustomerOrderThread(guild, member, orderData);
       customerThreadId = customerThread?.id;
+      // Customer is here, so the order is no longer waiting on guildMemberAdd
+      if (customerThreadId) activeOrders.delete(order_id);
       console.log(`✅ Created customer thread - staff automatically added`);
       // DM customer with thread link and full order details (only if in server)
       try {
-        const threadUrl = `https://discord.com/channels/${SERVER_ID}/${customerThreadId}`;
-        
-        // Build items list with quantities
-        let itemsList = product || 'Unknown';
-        if (order_items && Array.isArray(order_items) && order_items.length > 0) {
-          itemsList = order_items.map(p => {
-            const qty = Number(p.quantity || 1);
-            const price = Number(p.price || 0);
-            const name = p.product?.name || p.name || 'Product';
-            return `• **${name}** (x${qty}) - $${price.toFixed(2)}`;
-          }).join('\n');
-        }
-        
-        // Format date
-        const formattedDate = order_date 
-          ? new Date(order_date).toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' })
-          : new Date().toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' });
-        
-        // Build DM fields (same as order thread)
-        const dmFields = [
-          { name: '📋 Order ID', value: `\`${order_id}\``, inline: true },
-          { name: '📅 Date', value: formattedDate, inline: true },
-          { name: '⏱️ Status', value: 'PROCESSING', inline: true },
-          { name: '🎮 Roblox', value: `\`${roblox_username || 'Not linked'}\``, inline: true },
-          { name: '📧 Email', value: `\`${email || 'Not provided'}\``, inline: true },
-          { name: '🛒 Items', value: itemsList, inline: false },
-        ];
-        
-        // Add pricing details
-        const totalPaid = Number(total_paid || 0);
-        const discountAmt = Number(discount_amount || 0);
-        const origPrice = Number(original_price || totalPaid + discountAmt);
-        
-        if (discountAmt > 0) {
-          dmFields.push({ name: '💵 Original Price', value: `~~$${origPrice.toFixed(2)}~~`, inline: true });
-        }
-        dmFields.push({ name: '💰 Total Paid', value: `**$${totalPaid.toFixed(2)}**`, inline: true });
-        
-        if (discountAmt > 0) {
-          dmFields.push({ name: '🎉 You Saved', value: `**$${discountAmt.toFixed(2)}**`, inline: true });
-        }
-        
-        // Add promo code if used
-        if (promoCodeStr) {
-          let promoDisplay = `\`${promoCodeStr}\``;
-          if (promoDiscount) {
-            promoDisplay += ` (${promoDiscount}% OFF)`;
-          }
-          dmFields.push({ name: '🎟️ Promo Code', value: promoDisplay, inline: true });
-        }
-        
-        // Add affiliate if used
-        if (affiliateCodeStr) {
-          let affDisplay = `\`${affiliateCodeStr}\``;
-          if (affiliateDiscount) {
-            affDisplay += ` (${affiliateDiscount}% OFF)`;
-          }
-          if (affiliateName) {
-            affDisplay += ` - ${affiliateName}`;
-          }
-          dmFields.push({ name: '👥 Referred By', value: affDisplay, inline: true });
-        }
-        
-        // Add thread link
-        dmFields.push({ name: '🧵 Your Order Thread', value: `[Click here to open your thread](${threadUrl})`, inline: false });
-        
-        const dmEmbed = new EmbedBuilder()
-          .setTitle('🎉 Order Confirmed!')
-          .setColor(0x3DFF88)
-          .setDescription('Thank you for your BloxBeam purchase!\n\n🧵 **Your private order thread is ready!**\nClick the link below to access your thread where staff will assist with delivery.')
-          .addFields(dmFields)
-          .setFooter({ text: 'BloxBeam • Your items will be delivered soon! 💚' })
-          .setTimestamp();
+        const threadUrl = `https://discord.com/channels/${guild.id}/${customerThreadId}`;
+        // Same language as the thread that was just created
+        const dmLocale = getCustomerLocale(guild, { orderId: order_id, userId: user_id });
+        const detailsVars = buildOrderDetailsVars(orderData, {
+          orderId: order_id,
+          locale: dmLocale,
+          currency,
+          robloxVerification: robloxVerifications.get(order_id)
+        });
         
-        await member.user.send({ embeds: [dmEmbed] });
+        // Confirmation with the thread link, then the same Order Details embed the thread has.
+        // Separate messages - each template is only checked against the 6000 character limit on its own.
+        await member.user.send({
+          embeds: [renderEmbedTemplate(guild, 'orderConfirmed', { orderId: order_id, threadUrl }, dmLocale)]
+        });
+        await member.user.send({
+          embeds: [renderEmbedTemplate(guild, 'orderDetails', detailsVars, dmLocale)]
+        });
         console.log(`✅ DM sent to ${member.user.tag} with thread link`);
       } catch (e) {
         console.warn('⚠️ Could not DM user:', e.message);
+        incrementMetric('bloxbeam_dm_failures_total', { recipient: 'customer', message: 'order_confirmed' });
       }
     } else {
       // User not in server yet - DM will be sent when they join
@@ -1353,12 +6160,13 @@ app.post('/webhook/create-ticket', async (req, res) => {
     // NOTIFY STAFF - Channel ping + DM all staff
     // =================================================
     try {
-      const staffRole = STAFF_ROLE_ID ? guild.roles.cache.get(STAFF_ROLE_ID) : null;
+      const staffRole = resolveSetting(guild, 'staffRole');
       
       // Build staff notification fields
       const staffNotifyFields = [
         { name: '📦 Order ID', value: `\`${order_id}\``, inline: true },
-        { name: '💰 Total', value: `**$${Number(total_paid || 0).toFixed(2)}**`, inline: true },
+        { name: '💰 Total', value: `**${formatPrice(total_paid, DEFAULT_LOCALE, currency)}**`, inline: true },
+        { name: '🎮 Roblox', value: formatRobloxField(roblox_username, await verifyRobloxAccount(guild, order_id, roblox_username)), inline: true },
       ];
       
       // Add promo code with % if used
@@ -1395,21 +6203,22 @@ app.post('/webhook/create-ticket', async (req, res) => {
         .setTimestamp();
       
       // Find new-orders channel
-      let staffNotifyChannel = guild.channels.cache.find(
-        ch => ch.name === 'new-orders' && ch.type === ChannelType.GuildText
-      );
+      let staffNotifyChannel = resolveSetting(guild, 'newOrdersChannel');
       
       // Send to new-orders channel with ping
       if (staffNotifyChannel) {
-        await staffNotifyChannel.send({
+        const notifyMessage = await staffNotifyChannel.send({
           content: `<@&${staffRole?.id}> 🚨 **New order incoming!**`,
-          embeds: [staffNotifyEmbed]
+          embeds: [staffNotifyEmbed],
+          components: [buildOrderActionRow(order_id)]
         });
+        staffNotifications.set(order_id, { channelId: staffNotifyChannel.id, messageId: notifyMessage.id });
         console.log('✅ Sent notification to new-orders channel');
       }
       
       // DM all staff members - use role.members to avoid rate limits
-      if (staffRole) {
+      // (claim mode: staff pick orders up from #new-orders instead)
+      if (staffRole && !STAFF_JOIN_ON_CLAIM) {
         const staffMembers = staffRole.members;
         
         for (const [, staffMember] of staffMembers) {
@@ -1419,6 +6228,7 @@ app.post('/webhook/create-ticket', async (req, res) => {
             console.log(`✅ DM sent to staff: ${staffMember.user.tag}`);
           } catch (dmErr) {
             console.warn(`⚠️ Could not DM staff ${staffMember.user.tag}:`, dmErr.message);
+            incrementMetric('bloxbeam_dm_failures_total', { recipient: 'staff', message: 'new_order' });
           }
         }
       }
@@ -1426,6 +6236,9 @@ app.post('/webhook/create-ticket', async (req, res) => {
       console.warn('⚠️ Could not notify staff:', notifyErr.message);
     }
     
+    finishTicketDelivery(order_id, customerThreadId);
+    scheduleOrderQueueRefresh();
+    
     res.json({
       success: true,
       customerThreadId
@@ -1433,12 +6246,236 @@ app.post('/webhook/create-ticket', async (req, res) => {
     
   } catch (error) {
     console.error('❌ Webhook error:', error.message);
+    // Let the backend's retry run the whole delivery again
+    if (req.body?.order_id) failTicketDelivery(req.body.order_id);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// =================================================
+// ORDER LIFECYCLE WEBHOOKS - Keep Discord in sync with the website
+// =================================================
+
+app.post('/webhook/order-updated', validateBody(orderUpdatedSchema), dedupeLifecycleWebhook('order-updated'), async (req, res) => {
+  try {
+    const { order_id, status, email, roblox_username, total_paid, order_items, product, note } = req.body;
+    console.log(`📝 Order update received for ${order_id}`);
+    
+    const guild = client.guilds.cache.get(req.store.guildId);
+    if (!guild) throw new Error('Bot is not in server');
+    
+    // Customer hasn't joined yet - keep the pending order current instead
+    const pending = activeOrders.get(order_id);
+    if (pending) {
+      activeOrders.set(order_id, {
+        ...pending,
+        ...(email && { email }),
+        ...(product && { product }),
+        ...(roblox_username && { roblox_username })
+      });
+    }
+    
+    if (openOrders.has(order_id)) {
+      trackOpenOrder(order_id, {
+        ...(status && { status }),
+        ...(roblox_username && { robloxUsername: roblox_username }),
+        ...(order_items?.length ? { itemSummary: summariseItems(order_items) } : product && { itemSummary: product })
+      });
+    }
+    
+    // A new username needs its own verification before staff deliver to it
+    const robloxVerification = roblox_username ? await verifyRobloxAccount(guild, order_id, roblox_username) : null;
+    
+    const currency = getOrderCurrency(order_id, guild);
+    const describeChanges = (locale, itemsChanged) => [
+      status && t(locale, 'orderUpdated.status', { status }),
+      roblox_username && t(locale, 'orderUpdated.roblox', { username: roblox_username }),
+      email && t(locale, 'orderUpdated.email'),
+      total_paid !== undefined && t(locale, 'orderUpdated.total', { total: formatPrice(total_paid, locale, currency) }),
+      itemsChanged && t(locale, 'orderUpdated.items')
+    ].filter(Boolean);
+    
+    const thread = await findOrderThread(guild, order_id);
+    if (thread) {
+      const locale = orderThreads.get(order_id)?.locale || DEFAULT_LOCALE;
+      const items = order_items ? formatItemsList(order_items, product, locale, currency) : (product || null);
+      await updateOrderDetailsEmbed(thread, order_id, {
+        status,
+        email,
+        robloxUsername: roblox_username,
+        robloxVerification,
+        totalPaid: total_paid,
+        items
+      });
+      
+      const changed = describeChanges(locale, Boolean(items));
+      
+      await thread.send({
+        embeds: [{
+          title: t(locale, 'orderUpdated.title'),
+          description: changed.length > 0 ? changed.join('\n') : t(locale, 'orderUpdated.description'),
+          color: 0x5865F2,
+          fields: note ? [{ name: t(locale, 'orderUpdated.note'), value: note, inline: false }] : [],
+          timestamp: new Date().toISOString()
+        }]
+      }).catch(e => console.warn(`⚠️ Could not post update notice:`, e.message));
+    }
+    
+    // Staff claim from #new-orders, so its embed has to show the current details too
+    const staffFields = [
+      total_paid !== undefined && { name: '💰 Total', value: `**${formatPrice(total_paid, DEFAULT_LOCALE, currency)}**`, inline: true },
+      roblox_username && { name: '🎮 Roblox', value: formatRobloxField(roblox_username, robloxVerification), inline: true },
+      status && { name: '⏱️ Status', value: status, inline: true }
+    ].filter(Boolean);
+    if (staffFields.length > 0) {
+      await updateStaffNotification(guild, order_id, (embed) => {
+        for (const field of staffFields) setEmbedField(embed, field);
+        return { embeds: [embed] };
+      });
+    }
+    
+    const staffChanges = describeChanges(DEFAULT_LOCALE, Boolean(order_items?.length || product));
+    await postStaffNotice(guild, order_id, {
+      title: '📝 Order Updated on Website',
+      description: `Order \`${order_id}\` was updated from the website.`,
+      color: 0x5865F2,
+      fields: [
+        staffChanges.length > 0 && { name: '✏️ Changes', value: staffChanges.join('\n'), inline: false },
+        note && { name: '📝 Note', value: note, inline: false },
+        { name: '🧵 Order Thread', value: thread ? `<#${thread.id}>` : 'Pending (customer not in server)', inline: false }
+      ].filter(Boolean),
+      timestamp: new Date().toISOString()
+    });
+    
+    res.json({ success: true, threadId: thread?.id || null });
+  } catch (error) {
+    console.error('❌ Order update webhook error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+for (const [route, status] of [['order-cancelled', 'CANCELLED'], ['order-refunded', 'REFUNDED']]) {
+  app.post(`/webhook/${route}`, validateBody(orderClosedSchema), dedupeLifecycleWebhook(route), async (req, res) => {
+    try {
+      const { order_id, reason } = req.body;
+      console.log(`📥 ${status} webhook received for ${order_id}`);
+      
+      const guild = client.guilds.cache.get(req.store.guildId);
+      if (!guild) throw new Error('Bot is not in server');
+      
+      // Backend already holds the new status - only Discord needs to catch up
+      const { closed, error, thread } = await closeOrder(guild, order_id, status, reason, null);
+      if (!closed) {
+        console.log(`🔁 ${status} webhook for ${order_id} ignored: ${error}`);
+        return res.json({ success: true, skipped: true, reason: error.replace(/\*/g, '') });
+      }
+      
+      const closure = ORDER_CLOSURES[status];
+      await postStaffNotice(guild, order_id, {
+        title: `${closure.logTitle} on Website`,
+        description: `Order \`${order_id}\` was ${status.toLowerCase()} from the website. No further delivery is needed.`,
+        color: closure.color,
+        fields: [
+          { name: '📝 Reason', value: reason, inline: false },
+          { name: '🧵 Order Thread', value: thread ? `<#${thread.id}>` : 'No thread', inline: false }
+        ],
+        timestamp: new Date().toISOString()
+      });
+      
+      res.json({ success: true, threadId: thread?.id || null });
+    } catch (error) {
+      console.error(`❌ ${status} webhook error:`, error.message);
+      res.status(500).json({ error: error.message });
+    }
+  });
+}
+
+app.post('/webhook/roblox-username-changed', validateBody(robloxUsernameSchema), dedupeLifecycleWebhook('roblox-username-changed'), async (req, res) => {
+  try {
+    const { order_id, roblox_username, previous_username } = req.body;
+    console.log(`🎮 Roblox username for ${order_id} changed to ${roblox_username}`);
+    
+    const guild = client.guilds.cache.get(req.store.guildId);
+    if (!guild) throw new Error('Bot is not in server');
+    
+    const verification = await verifyRobloxAccount(guild, order_id, roblox_username);
+    const thread = await applyRobloxUsernameChange(guild, order_id, roblox_username, previous_username, verification);
+    
+    res.json({ success: true, threadId: thread?.id || null });
+  } catch (error) {
+    console.error('❌ Roblox username webhook error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/webhook/payment-dispute', validateBody(paymentDisputeSchema), dedupeLifecycleWebhook('payment-dispute'), async (req, res) => {
+  try {
+    const { order_id, dispute_id, status, reason, amount, evidence_due_by } = req.body;
+    console.log(`⚠️ Payment dispute received for ${order_id}`);
+    
+    const guild = client.guilds.cache.get(req.store.guildId);
+    if (!guild) throw new Error('Bot is not in server');
+    
+    if (openOrders.has(order_id)) {
+      trackOpenOrder(order_id, { status: 'DISPUTED' });
+    }
+    
+    // Disputes are staff business - the customer only sees the status change
+    const thread = await findOrderThread(guild, order_id);
+    if (thread) {
+      await updateOrderDetailsEmbed(thread, order_id, { status: 'DISPUTED' });
+    }
+    
+    await updateStaffNotification(guild, order_id, (embed) => ({
+      embeds: [setEmbedField(embed, { name: '⚠️ Dispute', value: status || 'opened', inline: true }).setColor(0xED4245)]
+    }));
+    
+    const fields = [
+      { name: '📦 Order ID', value: `\`${order_id}\``, inline: true },
+      { name: '📊 Dispute Status', value: status || 'opened', inline: true }
+    ];
+    if (amount !== undefined) fields.push({ name: '💰 Amount', value: formatPrice(amount, DEFAULT_LOCALE, getOrderCurrency(order_id, guild)), inline: true });
+    if (dispute_id) fields.push({ name: '🆔 Dispute ID', value: `\`${dispute_id}\``, inline: true });
+    if (evidence_due_by) fields.push({ name: '⏰ Evidence Due', value: `<t:${Math.floor(Date.parse(evidence_due_by) / 1000)}:R>`, inline: true });
+    if (reason) fields.push({ name: '📝 Reason', value: reason, inline: false });
+    fields.push({ name: '🧵 Order Thread', value: thread ? `<#${thread.id}>` : 'No thread', inline: false });
+    
+    await postStaffNotice(guild, order_id, {
+      title: '⚠️ PAYMENT DISPUTE',
+      description: 'The customer has disputed this payment. Hold any pending delivery until it is resolved.',
+      color: 0xED4245,
+      fields,
+      timestamp: new Date().toISOString()
+    });
+    
+    res.json({ success: true, threadId: thread?.id || null });
+  } catch (error) {
+    console.error('❌ Payment dispute webhook error:', error.message);
     res.status(500).json({ error: error.message });
   }
 });
 
-app.get('/health', (req, res) => {
-  res.json({ status: 'ok', timestamp: new Date().toISOString() });
+// Liveness: the process is up and serving requests (/health kept for existing monitors)
+app.get(['/health', '/health/live'], (req, res) => {
+  res.json({ status: 'ok', uptime: Math.round(process.uptime()), timestamp: new Date().toISOString() });
+});
+
+app.get('/health/ready', async (req, res) => {
+  try {
+    const checks = await runReadinessChecks();
+    const ready = checks.every(c => c.ok);
+    res.status(ready ? 200 : 503).json({ status: ready ? 'ready' : 'not_ready', checks, timestamp: new Date().toISOString() });
+  } catch (error) {
+    console.error('❌ Readiness check error:', error.message);
+    res.status(503).json({ status: 'not_ready', error: error.message, timestamp: new Date().toISOString() });
+  }
+});
+
+app.get('/metrics', (req, res) => {
+  if (METRICS_TOKEN && !timingSafeEqualStrings(req.headers.authorization || '', `Bearer ${METRICS_TOKEN}`)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  res.type('text/plain; version=0.0.4').send(renderMetrics());
 });
 
 const PORT = process.env.PORT || process.env.WEBHOOK_PORT || 5000;